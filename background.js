@@ -1,45 +1,53 @@
-// Storage and context menu constants
-const STORAGE_KEY = "templates";
+importScripts("url-patterns.js", "schema.js", "overrides.js", "includes.js", "usage.js", "pins.js", "sources.js", "storage.js", "sync-merge.js", "revisions.js");
+
+// Context menu constants
 const MENU_ROOT_ID = "templates_root";
 const MENU_ITEM_PREFIX = "tpl_";
+const MENU_CATEGORY_PREFIX = "cat_";
+const MENU_WRAP_ROOT_ID = "wrap_root";
+const MENU_WRAP_PREFIX = "wrap_";
+const MENU_RECENT_PREFIX = "recent_";
+const MENU_MOST_USED_PREFIX = "most_";
+const MENU_SECTION_PREFIX = "section_";
+const INSERT_MENU_PREFIXES = [MENU_ITEM_PREFIX, MENU_RECENT_PREFIX, MENU_MOST_USED_PREFIX];
+const USAGE_MENU_SIZE = 5;
+const CATEGORY_SEPARATOR = "/";
 const EDITABLE_CONTEXT = "editable";
-const CONTENT_SCRIPT = "content.js";
+const SELECTION_CONTEXT = "selection";
+const SELECTION_PLACEHOLDER_PATTERN = /\{\{\s*selection\s*(?::[^}]*)?\}\}/;
+const CONTENT_SCRIPTS = ["editor-adapters.js", "schema.js", "content.js", "form-fill.js", "palette.js"];
+const PAGE_SCRIPT = "page-bridge.js";
 const ACTION_INSERT = "insertTemplate";
-const ACTION_RELOAD = "reloadMenus";
+const ACTION_GET_TEMPLATES = "getTemplates";
+const ACTION_REFRESH_SOURCES = "refreshSources";
+const ACTION_OPEN_PALETTE = "openPalette";
+const ACTION_SHOW_NOTICE = "showNotice";
+const ACTION_UNDO_INSERTION = "undoInsertion";
+const ACTION_RECORD_INSERTION = "recordInsertion";
+const ACTION_GET_HISTORY = "getInsertionHistory";
+const ACTION_REPLAY_INSERTION = "replayInsertion";
+const COMMAND_OPEN_PALETTE = "open-palette";
+const COMMAND_UNDO_INSERTION = "undo-insertion";
+const HISTORY_KEY = "insertion_history";
+const MAX_HISTORY_ENTRIES = 20;
+const SOURCE_REFRESH_ALARM = "refresh_template_sources";
+const CONFLICT_BADGE_COLOR = "#d93025";
 
 let cachedTemplates = [];
 let defaultTemplateIds = [];
-
-/**
- * Loads default templates from HTTP server.
- * @returns {Promise<Array>} Array of default template objects
- */
-async function loadDefaultTemplates() {
-  return new Promise((resolve) => {
-    chrome.storage.sync.get(['template_json_url'], async (result) => {
-      const url = result.template_json_url || '';
-      if (!url) {
-        resolve([]);
-        return;
-      }
-
-      try {
-        const response = await fetch(url);
-        const templates = await response.json();
-        resolve(templates);
-      } catch (error) {
-        console.error('Failed to load default templates:', error);
-        resolve([]);
-      }
-    });
-  });
-}
+let usageStats = {};
+// Menu items currently shown, by id; null until this service worker has built the menu
+let menuItems = null;
+// Merges of synced template changes, run one at a time
+let templateMerge = Promise.resolve();
+// Changes of the insertion history, run one at a time
+let historyUpdate = Promise.resolve();
 
 /**
  * Merges default templates with custom templates (with deduplication).
  * @param {Array} customTemplates - Custom templates from storage
  * @param {Array} defaultTemplates - Default templates from JSON
- * @returns {Array} Merged templates with defaults first, deduplicated
+ * @returns {Array} Merged templates with defaults first, deduplicated; local overrides replace their default
  */
 function mergeTemplates(customTemplates, defaultTemplates) {
   // Deduplicate default templates first (in case there are duplicates in JSON)
@@ -50,7 +58,10 @@ function mergeTemplates(customTemplates, defaultTemplates) {
     }
   });
 
-  const merged = Array.from(defaultMap.values());
+  // Local overrides take the place of the default they were made from
+  const merged = Array.from(defaultMap.values(), t =>
+    customTemplates.find(custom => custom.id === t.id && isOverride(custom)) || t
+  );
   const seenIds = new Set(defaultMap.keys());
 
   // Add custom templates that are not in defaults
@@ -65,66 +76,315 @@ function mergeTemplates(customTemplates, defaultTemplates) {
 }
 
 /**
- * Builds the context menu with template entries.
- * @param {Array} templates - Array of template objects with name and content
+ * Splits a category path like "Support/Billing/Refunds" into its segments.
+ * @param {string} category - The category path
+ * @returns {Array<string>} Non-empty, trimmed path segments
  */
-function buildMenu(templates) {
-  chrome.contextMenus.removeAll();
+function parseCategoryPath(category) {
+  if (typeof category !== "string") return [];
+  return category.split(CATEGORY_SEPARATOR).map(s => s.trim()).filter(Boolean);
+}
 
-  // Create root menu item
-  chrome.contextMenus.create({
-    id: MENU_ROOT_ID,
-    title: "Insert Template",
-    contexts: [EDITABLE_CONTEXT]
-  });
+/**
+ * Adds the nested submenus for a category path to a menu description, if not already there.
+ * @param {Array<string>} segments - The category path segments
+ * @param {Map<string, Object>} items - The menu items described so far, by id
+ * @returns {string} The menu id to use as parent for the template
+ */
+function describeCategoryMenu(segments, items) {
+  let parentId = MENU_ROOT_ID;
 
-  // Create menu items for each valid template
-  templates.forEach((template, index) => {
-    if (!template.name || !template.content) {
-      console.warn(`Invalid template at index ${index}: missing name or content`);
-      return;
+  segments.forEach((segment, depth) => {
+    const id = `${MENU_CATEGORY_PREFIX}${segments.slice(0, depth + 1).join(CATEGORY_SEPARATOR)}`;
+    if (!items.has(id)) {
+      items.set(id, { id, parentId, title: segment, contexts: [EDITABLE_CONTEXT] });
     }
+    parentId = id;
+  });
 
-    const label = defaultTemplateIds.includes(template.id)
+  return parentId;
+}
+
+/**
+ * Adds a "Recently used" or "Most used" section to the top of a menu description.
+ * @param {Map<string, Object>} items - The menu items described so far, by id
+ * @param {string} title - The section heading
+ * @param {string} prefix - Menu id prefix for the section's items
+ * @param {Array<string>} ids - Template ids, in display order
+ * @param {Map<string, Object>} usable - Available templates by id
+ */
+function describeUsageSection(items, title, prefix, ids, usable) {
+  const shown = ids.filter(id => usable.has(id)).slice(0, USAGE_MENU_SIZE);
+  if (!shown.length) {
+    return;
+  }
+
+  // Section ids use their own prefix, so they can't collide with a template id
+  const headerId = `${MENU_SECTION_PREFIX}${prefix}header`;
+  items.set(headerId, { id: headerId, parentId: MENU_ROOT_ID, title, enabled: false, contexts: [EDITABLE_CONTEXT] });
+  shown.forEach(id => {
+    const itemId = `${prefix}${id}`;
+    items.set(itemId, { id: itemId, parentId: MENU_ROOT_ID, title: usable.get(id).name, contexts: [EDITABLE_CONTEXT] });
+  });
+  const separatorId = `${MENU_SECTION_PREFIX}${prefix}separator`;
+  items.set(separatorId, { id: separatorId, parentId: MENU_ROOT_ID, type: "separator", contexts: [EDITABLE_CONTEXT] });
+}
+
+/**
+ * Describes the context menu with template entries, without touching the actual menu.
+ * Templates with a category are placed in nested submenus, listed before uncategorized ones.
+ * Templates whose include/exclude patterns don't match the page are left out.
+ * "Recently used" and "Most used" sections come first.
+ * @param {Array} templates - Array of template objects with name and content
+ * @param {string} [url] - URL of the active tab; when unknown, every template is shown
+ * @returns {Map<string, Object>} Menu items ({ id, parentId, title, type, enabled, contexts }) by id, parents before children
+ */
+function describeMenu(templates, url) {
+  const items = new Map();
+  items.set(MENU_ROOT_ID, { id: MENU_ROOT_ID, title: "Insert Template", contexts: [EDITABLE_CONTEXT] });
+
+  const available = templates.filter(template => isTemplateAvailableOn(template, url));
+  const isUsable = template => template.name && (template.content || isFormFillTemplate(template));
+  available
+    .filter(template => !isUsable(template))
+    .forEach(template => console.warn(`Invalid template "${template.id}": missing name or content`));
+
+  const usable = available.filter(isUsable);
+  const ordered = [
+    ...usable.filter(template => parseCategoryPath(template.category).length),
+    ...usable.filter(template => !parseCategoryPath(template.category).length)
+  ];
+
+  const usableById = new Map(usable.map(template => [template.id, template]));
+  describeUsageSection(items, "Recently used", MENU_RECENT_PREFIX, getRecentlyUsedIds(usageStats, Infinity), usableById);
+  describeUsageSection(items, "Most used", MENU_MOST_USED_PREFIX, getMostUsedIds(usageStats, Infinity), usableById);
+
+  ordered.forEach(template => {
+    const id = `${MENU_ITEM_PREFIX}${template.id}`;
+    const title = defaultTemplateIds.includes(template.id) && !isOverride(template)
       ? `${template.name} (default)`
       : template.name;
 
-    chrome.contextMenus.create({
-      id: `${MENU_ITEM_PREFIX}${index}`,
-      parentId: MENU_ROOT_ID,
-      title: label,
+    items.set(id, {
+      id,
+      parentId: describeCategoryMenu(parseCategoryPath(template.category), items),
+      title,
       contexts: [EDITABLE_CONTEXT]
     });
   });
+
+  describeWrapMenu(items, ordered.filter(usesSelection));
+  return items;
 }
 
 /**
- * Retrieves templates from storage and rebuilds the context menu.
+ * Checks whether a template uses the {{selection}} placeholder, so it can wrap selected text.
+ * @param {Object} template - The template
+ * @returns {boolean} True if the template uses the selection
  */
-async function loadTemplates() {
-  chrome.storage.sync.get([STORAGE_KEY], async (result) => {
-    const customTemplates = result[STORAGE_KEY] || [];
-    const defaultTemplates = await loadDefaultTemplates();
+function usesSelection(template) {
+  return typeof template.content === "string" && SELECTION_PLACEHOLDER_PATTERN.test(template.content);
+}
 
-    // Dynamically extract default template IDs from loaded templates
-    defaultTemplateIds = defaultTemplates.map(t => t.id);
-    const allTemplates = mergeTemplates(customTemplates, defaultTemplates);
+/**
+ * Adds the "Wrap Selection" menu shown for selected text to a menu description.
+ * @param {Map<string, Object>} items - The menu items described so far, by id
+ * @param {Array<Object>} templates - Templates using {{selection}}
+ */
+function describeWrapMenu(items, templates) {
+  if (!templates.length) {
+    return;
+  }
 
-    cachedTemplates = allTemplates;
-    buildMenu(allTemplates);
+  items.set(MENU_WRAP_ROOT_ID, { id: MENU_WRAP_ROOT_ID, title: "Wrap Selection", contexts: [SELECTION_CONTEXT] });
+  templates.forEach(template => {
+    const id = `${MENU_WRAP_PREFIX}${template.id}`;
+    items.set(id, { id, parentId: MENU_WRAP_ROOT_ID, title: template.name, contexts: [SELECTION_CONTEXT] });
   });
 }
 
 /**
- * Injects the content script into a tab.
+ * Reports a failed context menu call. The menu no longer matches what was recorded,
+ * so the next update rebuilds it from scratch.
+ */
+function checkMenuError() {
+  if (chrome.runtime.lastError) {
+    console.warn('Context menu update failed:', chrome.runtime.lastError.message);
+    menuItems = null;
+  }
+}
+
+/**
+ * Adds an item to the context menu.
+ * @param {Object} item - The menu item description
+ */
+function createMenuItem(item) {
+  chrome.contextMenus.create(item, checkMenuError);
+  menuItems.set(item.id, item);
+}
+
+/**
+ * Removes an item and its submenu items from the context menu.
+ * @param {string} id - The menu item id
+ */
+function removeMenuItem(id) {
+  chrome.contextMenus.remove(id, checkMenuError);
+  const removed = [id];
+  // Chrome removes the children along with their parent
+  for (let i = 0; i < removed.length; i++) {
+    menuItems.delete(removed[i]);
+    menuItems.forEach(item => {
+      if (item.parentId === removed[i]) removed.push(item.id);
+    });
+  }
+}
+
+/**
+ * Lists the ids of a menu item's direct children.
+ * @param {Map<string, Object>} items - Menu items by id, in display order
+ * @param {string} [parentId] - The parent id, or undefined for top-level items
+ * @returns {Array<string>} Child ids, in display order
+ */
+function getChildIds(items, parentId) {
+  return Array.from(items.values()).filter(item => item.parentId === parentId).map(item => item.id);
+}
+
+/**
+ * Updates the context menu to match a description, touching only the items that changed.
+ * The first update after the service worker starts rebuilds the menu from scratch.
+ * @param {Map<string, Object>} desired - Menu items by id, parents before children
+ */
+function applyMenu(desired) {
+  if (!menuItems) {
+    chrome.contextMenus.removeAll();
+    menuItems = new Map();
+  }
+
+  // Remove items that are gone or moved to another submenu
+  Array.from(menuItems.values()).forEach(item => {
+    const wanted = desired.get(item.id);
+    if (menuItems.has(item.id) && (!wanted || wanted.parentId !== item.parentId)) {
+      removeMenuItem(item.id);
+    }
+  });
+
+  // Chrome always appends new items, so recreate each submenu from the first item out of place
+  [undefined, ...desired.keys()].forEach(parentId => {
+    const current = getChildIds(menuItems, parentId);
+    const wanted = getChildIds(desired, parentId);
+    let kept = 0;
+    while (kept < current.length && current[kept] === wanted[kept]) {
+      kept++;
+    }
+    current.slice(kept).forEach(removeMenuItem);
+    wanted.slice(kept).forEach(id => createMenuItem(desired.get(id)));
+  });
+
+  // Items kept in place may still need a new title, e.g. after a template was renamed
+  desired.forEach(item => {
+    const current = menuItems.get(item.id);
+    if (JSON.stringify(current) !== JSON.stringify(item)) {
+      const { id, parentId, ...properties } = item;
+      chrome.contextMenus.update(id, properties, checkMenuError);
+      menuItems.set(id, item);
+    }
+  });
+}
+
+/**
+ * Updates the context menu with template entries for a page.
+ * @param {Array} templates - Array of template objects with name and content
+ * @param {string} [url] - URL of the active tab; when unknown, every template is shown
+ */
+function buildMenu(templates, url) {
+  applyMenu(describeMenu(templates, url));
+}
+
+/**
+ * Loads custom and default templates and refreshes the template cache.
+ * @returns {Promise<Array>} Merged templates
+ */
+async function getMergedTemplates() {
+  let customTemplates;
+  try {
+    customTemplates = await readCustomTemplates();
+  } catch (error) {
+    // Keep the current templates until storage is readable again
+    console.warn('Failed to read custom templates:', error.message);
+    return cachedTemplates;
+  }
+
+  // Sources are normally refreshed on a schedule; only fetch the ones never cached
+  await refreshTemplateSources({ onlyMissing: true });
+  const defaultTemplates = await loadDefaultTemplates();
+
+  // Dynamically extract default template IDs from loaded templates
+  defaultTemplateIds = defaultTemplates.map(t => t.id);
+  const allTemplates = mergeTemplates(customTemplates, defaultTemplates);
+
+  cachedTemplates = allTemplates;
+  return allTemplates;
+}
+
+/**
+ * Gets the URL of the active tab in the focused window.
+ * @returns {Promise<string>} The URL, or an empty string if there is none
+ */
+async function getActiveTabUrl() {
+  const [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+  return (tab && tab.url) || "";
+}
+
+/**
+ * Retrieves templates from storage and updates the context menu.
+ */
+async function loadTemplates() {
+  const templates = await getMergedTemplates();
+  usageStats = await getUsageStats();
+  buildMenu(templates, await getActiveTabUrl());
+}
+
+/**
+ * Updates the context menu for the templates that apply to the active tab.
+ */
+async function updateMenuForActiveTab() {
+  // The service worker may have been restarted with an empty cache
+  if (!cachedTemplates.length) {
+    usageStats = await getUsageStats();
+  }
+  const templates = cachedTemplates.length ? cachedTemplates : await getMergedTemplates();
+  buildMenu(templates, await getActiveTabUrl());
+}
+
+/**
+ * Builds a scripting/messaging target for a tab, optionally limited to one frame.
+ * @param {number} tabId - The tab ID
+ * @param {number} [frameId] - The frame ID, or undefined for the top frame
+ * @returns {Object} The injection target
+ */
+function getInjectionTarget(tabId, frameId) {
+  return frameId === undefined ? { tabId } : { tabId, frameIds: [frameId] };
+}
+
+/**
+ * Injects the content scripts and the page bridge into a tab. The manifest already loads them into every
+ * frame, so this is only needed for pages opened before the extension was installed or updated.
  * @param {number} tabId - The tab ID to inject the script into
+ * @param {number} [frameId] - The frame to inject into, or undefined for the top frame
  * @returns {Promise<void>}
  */
-async function injectContentScript(tabId) {
+async function injectContentScript(tabId, frameId) {
+  const target = getInjectionTarget(tabId, frameId);
   try {
+    // The bridge goes first, so editor-adapters.js can connect to it as soon as it runs
     await chrome.scripting.executeScript({
-      target: { tabId },
-      files: [CONTENT_SCRIPT]
+      target,
+      files: [PAGE_SCRIPT],
+      world: "MAIN"
+    });
+    await chrome.scripting.executeScript({
+      target,
+      files: CONTENT_SCRIPTS
     });
   } catch (error) {
     console.warn(`Failed to inject content script into tab ${tabId}:`, error);
@@ -132,79 +392,475 @@ async function injectContentScript(tabId) {
 }
 
 /**
- * Retrieves a template by index from merged templates.
- * @param {number} index - The template index
+ * Sends a message to the content script of a tab, injecting it first if the frame doesn't have one.
+ * @param {number} tabId - The tab ID
+ * @param {Object} message - The message
+ * @param {number} [frameId] - The frame, or undefined for every frame (the top frame if injection is needed)
+ * @returns {Promise<*>} The content script's response
+ */
+async function sendToTab(tabId, message, frameId) {
+  const options = frameId === undefined ? {} : { frameId };
+  try {
+    return await chrome.tabs.sendMessage(tabId, message, options);
+  } catch (error) {
+    if (!String(error.message).includes("Receiving end does not exist")) throw error;
+  }
+  await injectContentScript(tabId, frameId);
+  return chrome.tabs.sendMessage(tabId, message, options);
+}
+
+/**
+ * Shows a notice in a frame of a tab.
+ * @param {number} tabId - The tab ID
+ * @param {string} message - The notice text
+ * @param {number} frameId - The frame
+ */
+function showNoticeInTab(tabId, message, frameId) {
+  sendToTab(tabId, { action: ACTION_SHOW_NOTICE, message }, frameId)
+    .catch(error => console.warn(`Failed to show a notice in tab ${tabId}:`, error));
+}
+
+/**
+ * Retrieves a template by id from merged templates.
+ * @param {string} id - The template id
  * @returns {Promise<Object|null>} The template object or null if not found
  */
-function getTemplateByIndex(index) {
-  return new Promise((resolve) => {
-    if (cachedTemplates && cachedTemplates[index]) {
-      resolve(cachedTemplates[index]);
-      return;
-    }
+async function getTemplateById(id) {
+  const cached = cachedTemplates.find(t => t.id === id);
+  if (cached) {
+    return cached;
+  }
 
-    chrome.storage.sync.get([STORAGE_KEY], async (result) => {
-      const customTemplates = result[STORAGE_KEY] || [];
-      const defaultTemplates = await loadDefaultTemplates();
-      const allTemplates = mergeTemplates(customTemplates, defaultTemplates);
+  // The cache is empty after a service worker restart, or the template was just added
+  const template = (await getMergedTemplates()).find(t => t.id === id);
+  if (!template) {
+    console.warn(`Template "${id}" not found`);
+    return null;
+  }
 
-      cachedTemplates = allTemplates;
-      const template = allTemplates[index];
+  return template;
+}
 
-      if (!template) {
-        console.error(`Template at index ${index} not found`);
-        resolve(null);
-        return;
-      }
+/**
+ * Finds which template a context menu item inserts.
+ * @param {string} menuItemId - The clicked menu item id
+ * @returns {{templateId: string, wrap: boolean}|null} The template id and whether to wrap the selection, or null for other items
+ */
+function parseMenuItemId(menuItemId) {
+  const prefix = [...INSERT_MENU_PREFIXES, MENU_WRAP_PREFIX].find(p => menuItemId.startsWith(p));
+  if (!prefix) {
+    return null;
+  }
+  return { templateId: menuItemId.slice(prefix.length), wrap: prefix === MENU_WRAP_PREFIX };
+}
 
-      resolve(template);
-    });
-  });
+/**
+ * Resolves a template's {{> id}} includes against the merged templates.
+ * @param {Object} template - The template
+ * @param {Array} templates - All merged templates
+ * @returns {Object} Copy of the template with includes resolved, or with `error` set when they can't be
+ */
+function withResolvedIncludes(template, templates) {
+  try {
+    return resolveTemplateIncludes(template, new Map(templates.map(t => [t.id, t])));
+  } catch (error) {
+    if (!(error instanceof IncludeError)) throw error;
+    return { ...template, error: `"${template.name}" ${error.message}` };
+  }
 }
 
 /**
- * Sends the template content to the active tab for insertion.
+ * Sends the template content, or the fields of a form-fill template, to the active tab for insertion.
  * @param {number} tabId - The tab ID to send the message to
- * @param {string} content - The template content to insert
+ * @param {Object} template - The template to insert
+ * @param {number} [frameId] - The frame holding the target field, or undefined for the top frame
+ * @param {boolean} [wrap] - Whether to apply the template to the selection, even outside editable fields
  */
-function sendTemplateToTab(tabId, content) {
-  chrome.tabs.sendMessage(tabId, {
+function sendTemplateToTab(tabId, template, frameId = 0, wrap = false) {
+  sendToTab(tabId, {
     action: ACTION_INSERT,
-    text: content
+    text: template.content,
+    format: template.format,
+    fill: template.fill,
+    id: template.id,
+    multiline: template.multiline,
+    wrap
+  }, frameId).catch(error => console.warn(`Failed to send the template to tab ${tabId}:`, error));
+}
+
+/**
+ * Reads the insertion history of every tab. It lives in session storage, so it survives
+ * service worker restarts but not the browser.
+ * @returns {Promise<Object>} Map of tab id to entries ({ templateId, name, frameId, time, undone, undoRefused }),
+ *   newest first
+ */
+async function getInsertionHistory() {
+  const result = await chrome.storage.session.get(HISTORY_KEY);
+  return result[HISTORY_KEY] || {};
+}
+
+/**
+ * Saves the insertion history of every tab.
+ * @param {Object} history - Map of tab id to entries
+ * @returns {Promise<void>}
+ */
+function saveInsertionHistory(history) {
+  return chrome.storage.session.set({ [HISTORY_KEY]: history });
+}
+
+/**
+ * Queues a change of the insertion history, so quick insertions and undos don't overwrite each other's changes.
+ * @param {Function} update - Reads, changes and saves the history
+ * @returns {Promise<*>} Resolves with the update's result once it is done, or undefined if it failed
+ */
+function queueHistoryUpdate(update) {
+  historyUpdate = historyUpdate
+    .then(() => undefined)
+    .then(update)
+    .catch(error => console.warn("Failed to update the insertion history:", error));
+  return historyUpdate;
+}
+
+/**
+ * Adds an insertion reported by a content script to its tab's history.
+ * @param {number} tabId - The tab ID
+ * @param {number} frameId - The frame the template was inserted in
+ * @param {string} templateId - The inserted template's id
+ * @returns {Promise<void>}
+ */
+function addToInsertionHistory(tabId, frameId, templateId) {
+  return queueHistoryUpdate(async () => {
+    const history = await getInsertionHistory();
+    const template = cachedTemplates.find(t => t.id === templateId);
+    const entry = { templateId, name: template ? template.name : templateId, frameId, time: Date.now() };
+
+    history[tabId] = [entry, ...(history[tabId] || [])].slice(0, MAX_HISTORY_ENTRIES);
+    await saveInsertionHistory(history);
+  });
+}
+
+/**
+ * Counts a template insertion and updates the usage sections of the menu.
+ * @param {string} templateId - The inserted template's id
+ * @returns {Promise<void>}
+ */
+async function recordUsage(templateId) {
+  usageStats = await recordTemplateUsage(templateId);
+  await updateMenuForActiveTab();
+}
+
+/**
+ * Undoes the latest template insertion in a tab, in the frame where it happened.
+ * @param {number} tabId - The tab ID
+ * @returns {Promise<void>}
+ */
+function undoLastInsertion(tabId) {
+  return queueHistoryUpdate(async () => {
+    const history = await getInsertionHistory();
+    const entry = (history[tabId] || []).find(e => !e.undone && !e.undoRefused);
+
+    if (!entry) {
+      // Only the top frame, so pages with iframes show the notice once
+      showNoticeInTab(tabId, "No template insertion to undo", 0);
+      return;
+    }
+
+    let result = null;
+    try {
+      result = await sendToTab(tabId, { action: ACTION_UNDO_INSERTION }, entry.frameId);
+    } catch (error) {
+      console.warn(`Failed to undo insertion in tab ${tabId}:`, error);
+    }
+    // A frame that was reloaded or navigated has no undo record left, so the entry stays as it is
+    if (!result || !result.used) return;
+    // Otherwise the frame used up its record, and the next undo moves on to the previous insertion
+    if (result.ok) {
+      entry.undone = true;
+    } else {
+      entry.undoRefused = true;
+    }
+    await saveInsertionHistory(history);
   });
 }
 
+/**
+ * Inserts a template from a tab's history again, into the frame it was first inserted in.
+ * @param {number} tabId - The tab ID
+ * @param {number} index - Index of the history entry
+ * @returns {Promise<{ok: boolean, error?: string}>} The outcome
+ */
+function replayInsertion(tabId, index) {
+  return queueHistoryUpdate(() => replayHistoryEntry(tabId, index));
+}
+
+/**
+ * Inserts a template from a tab's history again. Run through queueHistoryUpdate.
+ * @param {number} tabId - The tab ID
+ * @param {number} index - Index of the history entry
+ * @returns {Promise<{ok: boolean, error?: string}>} The outcome
+ */
+async function replayHistoryEntry(tabId, index) {
+  const history = await getInsertionHistory();
+  const entry = (history[tabId] || [])[index];
+  if (!entry) {
+    return { ok: false, error: "This insertion is no longer in the history" };
+  }
+
+  const templates = cachedTemplates.length ? cachedTemplates : await getMergedTemplates();
+  const template = templates.find(t => t.id === entry.templateId);
+  if (!template) {
+    return { ok: false, error: `"${entry.name}" no longer exists` };
+  }
+
+  const resolved = withResolvedIncludes(template, templates);
+  if (resolved.error) {
+    return { ok: false, error: resolved.error };
+  }
+
+  sendTemplateToTab(tabId, resolved, entry.frameId);
+  return { ok: true };
+}
+
 /**
  * Handles context menu clicks and inserts the selected template.
  * @param {Object} menuInfo - The context menu click information
  * @param {Object} tab - The tab where the click occurred
  */
 async function handleContextMenuClick(menuInfo, tab) {
-  if (!menuInfo.menuItemId.startsWith(MENU_ITEM_PREFIX)) {
+  const target = parseMenuItemId(String(menuInfo.menuItemId));
+  if (!target) {
     return;
   }
 
-  const index = parseInt(menuInfo.menuItemId.split("_")[1]);
-  const template = await getTemplateByIndex(index);
+  const template = await getTemplateById(target.templateId);
+  // Includes are resolved on every insertion, so edits to an included template apply everywhere
+  const resolved = template && withResolvedIncludes(template, cachedTemplates);
 
-  if (!template) {
+  if (!resolved || resolved.error) {
+    const message = resolved ? resolved.error : "This template no longer exists. The menu has been updated.";
+    showNoticeInTab(tab.id, message, menuInfo.frameId || 0);
+    if (!resolved) {
+      // The menu was out of date, e.g. the template was deleted on another device
+      loadTemplates();
+    }
     return;
   }
+  // Target the frame that was right-clicked, so fields inside iframes receive the template
+  sendTemplateToTab(tab.id, resolved, menuInfo.frameId, target.wrap);
+}
 
-  await injectContentScript(tab.id);
-  sendTemplateToTab(tab.id, template.content);
+/**
+ * Finds the frame holding keyboard focus, so shortcuts reach fields inside iframes.
+ * @param {number} tabId - The tab ID
+ * @returns {Promise<number>} The focused frame's id, or 0 for the top frame
+ */
+async function getFocusedFrameId(tabId) {
+  try {
+    const results = await chrome.scripting.executeScript({
+      target: { tabId, allFrames: true },
+      // A frame containing the focused iframe also has focus; the innermost one holds the field
+      func: () => document.hasFocus() && !["IFRAME", "FRAME"].includes(document.activeElement && document.activeElement.tagName)
+    });
+    const focused = results.find(r => r.result);
+    return focused ? focused.frameId : 0;
+  } catch (error) {
+    console.warn(`Failed to find the focused frame in tab ${tabId}:`, error);
+    return 0;
+  }
+}
+
+/**
+ * Inserts the template pinned to a keyboard shortcut slot into the focused field.
+ * @param {Object} tab - The active tab
+ * @param {number} slot - The slot number
+ * @returns {Promise<void>}
+ */
+async function insertPinnedTemplate(tab, slot) {
+  const templateId = (await getPinnedTemplates())[slot - 1];
+  const template = templateId && await getTemplateById(templateId);
+  const frameId = await getFocusedFrameId(tab.id);
+
+  let message = null;
+  if (!templateId) {
+    message = `No template is pinned to shortcut ${slot}. Pin one from the extension popup.`;
+  } else if (!template) {
+    message = `The template pinned to shortcut ${slot} no longer exists`;
+  } else if (!isTemplateAvailableOn(template, tab.url)) {
+    message = `"${template.name}" is not available on this site`;
+  }
+  const resolved = message ? null : withResolvedIncludes(template, cachedTemplates);
+
+  if (message || resolved.error) {
+    showNoticeInTab(tab.id, message || resolved.error, frameId);
+    return;
+  }
+  sendTemplateToTab(tab.id, resolved, frameId);
+}
+
+/**
+ * Handles keyboard shortcuts from chrome.commands.
+ * @param {string} command - The command name from the manifest
+ * @param {Object} [tab] - The active tab
+ */
+async function handleCommand(command, tab) {
+  if (!tab) {
+    return;
+  }
+  if (command === COMMAND_UNDO_INSERTION) {
+    await undoLastInsertion(tab.id);
+    return;
+  }
+  const slot = getCommandSlot(command);
+  if (slot) {
+    await insertPinnedTemplate(tab, slot);
+    return;
+  }
+  if (command !== COMMAND_OPEN_PALETTE) {
+    return;
+  }
+
+  // Sent to every frame; only the frame holding the focused field opens the palette
+  await sendToTab(tab.id, { action: ACTION_OPEN_PALETTE })
+    .catch(error => console.warn(`Failed to open the palette in tab ${tab.id}:`, error));
+}
+
+/**
+ * Schedules the periodic refresh of remote template sources.
+ * @returns {Promise<void>}
+ */
+async function scheduleSourceRefresh() {
+  const periodInMinutes = await getRefreshInterval();
+  await chrome.alarms.create(SOURCE_REFRESH_ALARM, { periodInMinutes });
+}
+
+/**
+ * Revalidates every remote source and rebuilds the menu with the results.
+ * @returns {Promise<Object>} The updated source cache
+ */
+async function refreshSourcesAndMenus() {
+  const cache = await refreshTemplateSources();
+  await loadTemplates();
+  return cache;
+}
+
+/**
+ * Queues a merge of the synced templates with this device's edits.
+ * @returns {Promise<void>} Resolves once the merge is done
+ */
+function queueTemplateMerge() {
+  templateMerge = templateMerge
+    .then(mergeTemplateChanges)
+    .then(() => undefined, error => console.warn("Failed to merge synced templates:", error));
+  return templateMerge;
+}
+
+/**
+ * Shows the number of unresolved sync conflicts on the toolbar icon.
+ * @returns {Promise<void>}
+ */
+async function updateConflictBadge() {
+  let conflicts = [];
+  try {
+    conflicts = await getTemplateConflicts();
+  } catch (error) {
+    // Templates are still syncing; the badge updates with the next change
+  }
+  await chrome.action.setBadgeBackgroundColor({ color: CONFLICT_BADGE_COLOR });
+  await chrome.action.setBadgeText({ text: conflicts.length ? String(conflicts.length) : "" });
+}
+
+/**
+ * Initializes the menu, the source refresh schedule and the conflict badge.
+ */
+function initialize() {
+  scheduleSourceRefresh();
+  loadTemplates();
+  updateConflictBadge();
 }
 
 // Initialize menu on extension startup
-chrome.runtime.onInstalled.addListener(loadTemplates);
-chrome.runtime.onStartup.addListener(loadTemplates);
+chrome.runtime.onInstalled.addListener(initialize);
+chrome.runtime.onStartup.addListener(initialize);
+
+// Refresh remote sources in the background
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === SOURCE_REFRESH_ALARM) {
+    refreshSourcesAndMenus();
+  }
+});
+
+// Reschedule when the refresh interval changes, and update the menu when templates change
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === "sync" && changes[REFRESH_INTERVAL_KEY]) {
+    scheduleSourceRefresh();
+  }
+  // Templates edited here, in the options page or on another device; another device's edits
+  // are merged with this one's first
+  if (isTemplateStorageChange(changes, areaName)) {
+    queueTemplateMerge().then(() => {
+      loadTemplates();
+      // Conflicts resolved on another device are dropped from the count
+      updateConflictBadge();
+    });
+  } else if (areaName === "sync" && changes[SOURCES_KEY]) {
+    // Source changes alter the defaults
+    loadTemplates();
+  }
+  if (areaName === "local" && changes[CONFLICTS_KEY]) {
+    updateConflictBadge();
+  }
+});
+
+// Show only the templates that apply to the active tab
+chrome.tabs.onActivated.addListener(updateMenuForActiveTab);
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+  if (changeInfo.url && tab.active) {
+    updateMenuForActiveTab();
+  }
+});
+chrome.windows.onFocusChanged.addListener((windowId) => {
+  if (windowId !== chrome.windows.WINDOW_ID_NONE) {
+    updateMenuForActiveTab();
+  }
+});
 
 // Handle context menu clicks
 chrome.contextMenus.onClicked.addListener(handleContextMenuClick);
 
-// Listen for reload messages from popup
-chrome.runtime.onMessage.addListener((msg) => {
-  if (msg.action === ACTION_RELOAD) {
-    loadTemplates();
+// Handle keyboard shortcuts
+chrome.commands.onCommand.addListener(handleCommand);
+
+// Forget a tab's insertion history when it closes
+chrome.tabs.onRemoved.addListener((tabId) => {
+  queueHistoryUpdate(async () => {
+    const history = await getInsertionHistory();
+    if (history[tabId]) {
+      delete history[tabId];
+      await saveInsertionHistory(history);
+    }
+  });
+});
+
+// Listen for template requests from content scripts and the popup
+chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+  if (msg.action === ACTION_GET_TEMPLATES) {
+    const templates = cachedTemplates.length ? Promise.resolve(cachedTemplates) : getMergedTemplates();
+    const url = sender.tab && sender.tab.url;
+    templates.then(all => sendResponse(all
+      .filter(template => isTemplateAvailableOn(template, url))
+      .map(template => withResolvedIncludes(template, all))));
+    return true; // Keep the channel open for the async response
+  } else if (msg.action === ACTION_REFRESH_SOURCES) {
+    refreshSourcesAndMenus().then(sendResponse);
+    return true;
+  } else if (msg.action === ACTION_RECORD_INSERTION && sender.tab) {
+    addToInsertionHistory(sender.tab.id, sender.frameId, msg.templateId);
+    recordUsage(msg.templateId);
+  } else if (msg.action === ACTION_GET_HISTORY) {
+    getInsertionHistory().then(history => sendResponse(history[msg.tabId] || []));
+    return true;
+  } else if (msg.action === ACTION_REPLAY_INSERTION) {
+    replayInsertion(msg.tabId, msg.index).then(sendResponse);
+    return true;
   }
 });
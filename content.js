@@ -1,113 +1,1353 @@
+// Placeholder tokens look like {{name}} or {{name:argument}}.
+var PLACEHOLDER_PATTERN = /\{\{\s*([a-zA-Z_][\w-]*)\s*(?::([^}]*))?\}\}/g;
+var CURSOR_PLACEHOLDER = "cursor";
+var DATE_FORMAT_PATTERN = /\[([^\]]*)\]|YYYY|YY|MMMM|MMM|MM|M|dddd|ddd|DD|D|HH|H|hh|h|mm|ss|A/g;
+var FIELD_OPTION_SEPARATOR = "|";
+var FIELD_VALUES_KEY = "template_field_values";
+var ACTION_GET_TEMPLATES = "getTemplates";
+var ACTION_OPEN_PALETTE = "openPalette";
+var ACTION_SHOW_NOTICE = "showNotice";
+var ACTION_UNDO_INSERTION = "undoInsertion";
+var ACTION_RECORD_INSERTION = "recordInsertion";
+var MAX_UNDO_RECORDS = 10;
+
+// Storage the offered templates come from: custom templates in sync, and remote sources with their cached templates
+var TEMPLATES_META_KEY = "templates_meta";
+var LEGACY_TEMPLATES_KEY = "templates";
+var TEMPLATE_CHUNK_PREFIX = "templates_chunk_";
+var SOURCES_KEY = "template_sources";
+var SOURCE_CACHE_KEY = "template_source_cache";
+
+// Input types by how templates go into them
+var TEXT_INPUT_TYPES = new Set(["text", "search", "url", "tel", "password"]);
+// Typed into like text, but without a caret API: the whole value is replaced and must be valid for the type
+var VALUE_INPUT_TYPES = new Set(["email", "number", "date", "datetime-local", "month", "time", "week"]);
+// How a template with several lines goes into a single-line input
+var MULTILINE_FLATTEN = "flatten";
+var MULTILINE_REJECT = "reject";
+var LINE_BREAK_PATTERN = /\s*[\r\n]\s*/g;
+
+// Template formats and rich-text insertion
+var FORMAT_TEXT = "text";
+var FORMAT_MARKDOWN = "markdown";
+var FORMAT_HTML = "html";
+// Private-use character marking the caret position while content is converted
+var CURSOR_SENTINEL = "\uE000";
+var NOTICE_DURATION = 2000;
+var MARKDOWN_LIST_PATTERN = /^\s*(?:[-*+]|\d+[.)])\s+/;
+var ALLOWED_TAGS = new Set([
+  "A", "B", "BLOCKQUOTE", "BR", "CODE", "DEL", "DETAILS", "DIV", "EM", "H1", "H2", "H3", "H4", "H5", "H6",
+  "HR", "I", "IMG", "LI", "OL", "P", "PRE", "S", "SPAN", "STRONG", "SUB", "SUMMARY", "SUP", "TABLE",
+  "TBODY", "TD", "TH", "THEAD", "TR", "U", "UL"
+]);
+var DROPPED_TAGS = new Set([
+  "SCRIPT", "STYLE", "IFRAME", "OBJECT", "EMBED", "TEMPLATE", "NOSCRIPT", "FORM", "INPUT",
+  "TEXTAREA", "BUTTON", "SELECT", "META", "LINK", "SVG", "MATH"
+]);
+var ALLOWED_ATTRIBUTES = {
+  A: ["href", "title"],
+  IMG: ["src", "alt", "title", "width", "height"],
+  OL: ["start"],
+  TD: ["colspan", "rowspan"],
+  TH: ["colspan", "rowspan"]
+};
+var SAFE_URL_PATTERN = /^(?:https?:|mailto:|tel:|#|\/)/i;
+var PLAIN_TEXT_BLOCK_TAGS = new Set([
+  "P", "DIV", "H1", "H2", "H3", "H4", "H5", "H6", "UL", "OL", "PRE", "BLOCKQUOTE", "TABLE", "TR"
+]);
+
+/**
+ * Resolvers for automatic placeholders, keyed by placeholder name.
+ * Each receives the optional argument and the insertion context.
+ * Any other placeholder is a fill-in field prompted for before insertion.
+ */
+var PLACEHOLDER_RESOLVERS = {
+  date: (arg, context) => arg ? formatDate(context.now, arg) : context.now.toLocaleDateString(),
+  time: (arg, context) => arg ? formatDate(context.now, arg) : context.now.toLocaleTimeString(),
+  datetime: (arg, context) => arg ? formatDate(context.now, arg) : context.now.toLocaleString(),
+  title: () => document.title,
+  url: () => window.location.href,
+  clipboard: () => readClipboardText(),
+  selection: (arg, context) => transformSelection(context.selectedText, arg, Boolean(context.escape))
+};
+
+// {{selection:transform}} or {{selection:transform=argument}}; quote the argument to keep spaces
+var SELECTION_TRANSFORM_PATTERN = /^([a-z]+)(?:=(.*))?$/;
+
+/**
+ * Transforms for the selected text, keyed by name.
+ * Each receives the selection and the optional argument, and returns plain text
+ * or, when `html` is true, HTML markup for HTML templates.
+ */
+var SELECTION_TRANSFORMS = {
+  quote: (text, arg, html) => (html
+    ? `<blockquote>${textToHtml(text)}</blockquote>`
+    : prefixLines(text, "> ")),
+  code: (text, arg, html) => (html
+    ? `<pre><code>${escapeHtml(text)}</code></pre>`
+    : `\`\`\`${arg || ""}\n${text}\n\`\`\``),
+  details: (text, arg, html) => (html
+    ? `<details><summary>${escapeHtml(arg || "Details")}</summary>${textToHtml(text)}</details>`
+    : `<details>\n<summary>${arg || "Details"}</summary>\n\n${text}\n\n</details>`),
+  prefix: (text, arg, html) => (html
+    ? textToHtml(prefixLines(text, arg || ""))
+    : prefixLines(text, arg || ""))
+};
+
+/**
+ * Pads a number with leading zeros to two digits.
+ * @param {number} value - The number to pad
+ * @returns {string} The padded number
+ */
+function pad2(value) {
+  return String(value).padStart(2, "0");
+}
+
+/**
+ * Formats a date using a moment-style pattern (YYYY-MM-DD HH:mm, dddd, MMM D...).
+ * Text wrapped in square brackets is output literally.
+ * @param {Date} date - The date to format
+ * @param {string} format - The format pattern
+ * @returns {string} The formatted date
+ */
+function formatDate(date, format) {
+  const hours12 = date.getHours() % 12 || 12;
+  const tokens = {
+    YYYY: String(date.getFullYear()),
+    YY: String(date.getFullYear()).slice(-2),
+    MMMM: date.toLocaleString(undefined, { month: "long" }),
+    MMM: date.toLocaleString(undefined, { month: "short" }),
+    MM: pad2(date.getMonth() + 1),
+    M: String(date.getMonth() + 1),
+    dddd: date.toLocaleString(undefined, { weekday: "long" }),
+    ddd: date.toLocaleString(undefined, { weekday: "short" }),
+    DD: pad2(date.getDate()),
+    D: String(date.getDate()),
+    HH: pad2(date.getHours()),
+    H: String(date.getHours()),
+    hh: pad2(hours12),
+    h: String(hours12),
+    mm: pad2(date.getMinutes()),
+    ss: pad2(date.getSeconds()),
+    A: date.getHours() < 12 ? "AM" : "PM"
+  };
+
+  return format.replace(DATE_FORMAT_PATTERN, (token, literal) =>
+    literal !== undefined ? literal : tokens[token]
+  );
+}
+
+/**
+ * Reads the current clipboard text.
+ * @returns {Promise<string>} The clipboard text, or an empty string if unavailable
+ */
+async function readClipboardText() {
+  try {
+    return await navigator.clipboard.readText();
+  } catch (error) {
+    console.warn('Failed to read clipboard:', error);
+    return '';
+  }
+}
+
+/**
+ * Adds a prefix to every line of a text.
+ * @param {string} text - The text
+ * @param {string} prefix - The prefix, such as "> "
+ * @returns {string} The prefixed text
+ */
+function prefixLines(text, prefix) {
+  return text.split("\n").map(line => `${prefix}${line}`).join("\n");
+}
+
+/**
+ * Applies a {{selection:...}} transform to the selected text.
+ * @param {string} text - The selected text
+ * @param {string} [spec] - The transform, e.g. "quote", "code=js" or "prefix=\"- \""
+ * @param {boolean} html - Whether the template is HTML
+ * @returns {string|{markup: string}} Plain text, or HTML markup that must not be escaped again
+ */
+function transformSelection(text, spec, html) {
+  if (!spec) return text;
+
+  const match = spec.match(SELECTION_TRANSFORM_PATTERN);
+  const transform = match && SELECTION_TRANSFORMS[match[1]];
+  if (!transform) {
+    console.warn(`Unknown selection transform "${spec}"`);
+    return text;
+  }
+
+  const arg = match[2] && match[2].replace(/^"(.*)"$/, "$1");
+  const result = transform(text, arg, html);
+  return html ? { markup: result } : result;
+}
+
+/**
+ * Gets the text currently selected in the target element or the page.
+ * @param {HTMLElement} element - The element receiving the template
+ * @returns {string} The selected text
+ */
+function getSelectedText(element) {
+  if (element && isValueInput(element)) return '';
+  if (element && isTextInput(element)) {
+    const { selectionStart: start, selectionEnd: end } = element;
+    return start === null ? '' : element.value.substring(start, end);
+  }
+  const selection = getSelectionFor(element);
+  return selection ? selection.toString() : '';
+}
+
+/**
+ * Expands automatic placeholders and fill-in fields in template content.
+ * The {{cursor}} marker is removed and its position returned as the caret offset.
+ * Resolver results are escaped for HTML templates unless returned as `{ markup }`.
+ * @param {string} content - The raw template content
+ * @param {Object} context - Insertion context ({ element, selectedText, fields, escape })
+ * @returns {Promise<{text: string, cursor: number}>} Expanded text and caret offset
+ */
+async function expandPlaceholders(content, context) {
+  const resolveContext = { ...context, now: new Date() };
+  const escape = context.escape || (value => value);
+  const values = new Map();
+
+  // Resolve each distinct placeholder once, so {{clipboard}} is only read a single time
+  for (const [token, name, arg] of content.matchAll(PLACEHOLDER_PATTERN)) {
+    const resolver = PLACEHOLDER_RESOLVERS[name];
+    if (values.has(token)) continue;
+
+    if (resolver) {
+      const value = await resolver(arg && arg.trim(), resolveContext);
+      values.set(token, value && typeof value.markup === "string" ? value.markup : escape(String(value)));
+    } else if (context.fields && name in context.fields) {
+      values.set(token, escape(context.fields[name]));
+    }
+  }
+
+  let text = '';
+  let cursor = -1;
+  let lastIndex = 0;
+
+  for (const match of content.matchAll(PLACEHOLDER_PATTERN)) {
+    text += content.slice(lastIndex, match.index);
+    lastIndex = match.index + match[0].length;
+
+    if (match[1] === CURSOR_PLACEHOLDER) {
+      if (cursor === -1) cursor = text.length;
+    } else {
+      text += values.has(match[0]) ? values.get(match[0]) : match[0];
+    }
+  }
+  text += content.slice(lastIndex);
+
+  return { text, cursor: cursor === -1 ? text.length : cursor };
+}
+
+/**
+ * Collects the fill-in fields declared in template content.
+ * {{name}} is a text field, {{name:Default}} a text field with a default value
+ * and {{name:A|B|C}} a dropdown. Repeated names are collected once.
+ * @param {string} content - The raw template content
+ * @returns {Array<Object>} Fields with name, label, options and defaultValue
+ */
+function collectFields(content) {
+  const fields = new Map();
+
+  for (const [, name, arg] of content.matchAll(PLACEHOLDER_PATTERN)) {
+    if (name === CURSOR_PLACEHOLDER || PLACEHOLDER_RESOLVERS[name] || fields.has(name)) {
+      continue;
+    }
+
+    const argument = arg ? arg.trim() : '';
+    const options = argument.includes(FIELD_OPTION_SEPARATOR)
+      ? argument.split(FIELD_OPTION_SEPARATOR).map(option => option.trim())
+      : null;
+
+    fields.set(name, {
+      name,
+      label: formatFieldLabel(name),
+      options,
+      defaultValue: options ? options[0] : argument
+    });
+  }
+
+  return Array.from(fields.values());
+}
+
+/**
+ * Turns a field name like customer_name into a label like "Customer name".
+ * @param {string} name - The field name
+ * @returns {string} The human readable label
+ */
+function formatFieldLabel(name) {
+  const words = name.replace(/[_-]+/g, " ").trim();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+/**
+ * Loads the field values used in previous insertions.
+ * @returns {Promise<Object>} Map of field name to last used value
+ */
+function loadFieldValues() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get([FIELD_VALUES_KEY], (result) => {
+      resolve(result[FIELD_VALUES_KEY] || {});
+    });
+  });
+}
+
+/**
+ * Remembers field values so they are offered as defaults next time.
+ * @param {Object} values - Map of field name to value
+ * @returns {Promise<void>}
+ */
+async function saveFieldValues(values) {
+  const stored = await loadFieldValues();
+  return new Promise((resolve) => {
+    chrome.storage.local.set({ [FIELD_VALUES_KEY]: { ...stored, ...values } }, resolve);
+  });
+}
+
+/**
+ * Creates the input or dropdown for a fill-in field.
+ * @param {Object} field - The field description
+ * @param {string} value - The initial value
+ * @returns {HTMLElement} The control element
+ */
+function createFieldControl(field, value) {
+  if (!field.options) {
+    const input = document.createElement("input");
+    input.type = "text";
+    input.value = value;
+    return input;
+  }
+
+  const select = document.createElement("select");
+  field.options.forEach(option => {
+    const optionEl = document.createElement("option");
+    optionEl.value = option;
+    optionEl.textContent = option;
+    select.appendChild(optionEl);
+  });
+  select.value = field.options.includes(value) ? value : field.defaultValue;
+  return select;
+}
+
+/**
+ * Shows an in-page form asking for the values of fill-in fields.
+ * @param {Array<Object>} fields - The fields to prompt for
+ * @param {HTMLElement} anchor - The element the form is positioned next to
+ * @returns {Promise<Object|null>} Map of field name to value, or null if cancelled
+ */
+async function promptForFields(fields, anchor) {
+  const lastValues = await loadFieldValues();
+
+  return new Promise((resolve) => {
+    const host = document.createElement("div");
+    host.style.cssText = "position:fixed;z-index:2147483647;top:0;left:0;";
+    const root = host.attachShadow({ mode: "closed" });
+
+    const style = document.createElement("style");
+    style.textContent = `
+      form { position: fixed; width: 280px; padding: 12px; background: #fff; color: #111;
+        font: 13px Arial, sans-serif; border-radius: 8px; box-shadow: 0 6px 24px rgba(16,24,40,0.2); }
+      label { display: block; margin-bottom: 8px; }
+      input, select { display: block; width: 100%; box-sizing: border-box; margin-top: 4px; padding: 5px; }
+      .actions { display: flex; justify-content: flex-end; gap: 8px; }
+      button { padding: 6px 12px; border: none; border-radius: 8px; background: #4caf50; color: #fff; cursor: pointer; }
+      button[type="button"] { background: #9ca3af; }
+    `;
+
+    const form = document.createElement("form");
+    const controls = fields.map(field => {
+      const label = document.createElement("label");
+      label.textContent = field.label;
+      const lastValue = lastValues[field.name];
+      const control = createFieldControl(field, lastValue !== undefined ? lastValue : field.defaultValue);
+      label.appendChild(control);
+      form.appendChild(label);
+      return control;
+    });
+
+    const actions = document.createElement("div");
+    actions.className = "actions";
+    const cancelBtn = document.createElement("button");
+    cancelBtn.type = "button";
+    cancelBtn.textContent = "Cancel";
+    const insertBtn = document.createElement("button");
+    insertBtn.type = "submit";
+    insertBtn.textContent = "Insert";
+    actions.append(cancelBtn, insertBtn);
+    form.appendChild(actions);
+
+    const rect = anchor.getBoundingClientRect();
+    const view = anchor.ownerDocument.defaultView;
+    form.style.top = `${Math.max(8, Math.min(rect.bottom + 4, view.innerHeight - 40 - fields.length * 48))}px`;
+    form.style.left = `${Math.max(8, Math.min(rect.left, view.innerWidth - 300))}px`;
+
+    const close = (result) => {
+      host.remove();
+      resolve(result);
+    };
+
+    form.onsubmit = (event) => {
+      event.preventDefault();
+      const values = {};
+      fields.forEach((field, index) => {
+        values[field.name] = controls[index].value;
+      });
+      close(values);
+    };
+    cancelBtn.onclick = () => close(null);
+    form.onkeydown = (event) => {
+      event.stopPropagation();
+      if (event.key === "Escape") close(null);
+    };
+
+    root.append(style, form);
+    anchor.ownerDocument.documentElement.appendChild(host);
+    controls[0].focus();
+  });
+}
+
+/**
+ * Saves the focused element's caret or selection so it can be restored.
+ * @param {HTMLElement} element - The focused element
+ * @returns {Function} Restores focus and selection when called
+ */
+function saveFocus(element) {
+  if (isTextInput(element)) {
+    const { selectionStart: start, selectionEnd: end } = element;
+    return () => {
+      element.focus();
+      element.setSelectionRange(start, end);
+    };
+  }
+  if (!element.isContentEditable) {
+    return () => element.focus();
+  }
+
+  const selection = getSelectionFor(element);
+  const range = selection.rangeCount ? selection.getRangeAt(0).cloneRange() : null;
+  return () => {
+    element.focus();
+    if (range) {
+      selection.removeAllRanges();
+      selection.addRange(range);
+    }
+  };
+}
+
 /**
  * Inserts text into a textarea or input element at the current cursor position.
+ * Uses the insertText command where possible so the field's native undo stack keeps working.
  * @param {HTMLElement} element - The textarea or input element
  * @param {string} text - The text to insert
+ * @param {number} [cursorOffset] - Caret offset within the inserted text
+ * @returns {boolean|null} True if the native insertText command was used, null if the page cancelled the edit
  */
-function insertIntoTextInput(element, text) {
+function insertIntoTextInput(element, text, cursorOffset = text.length) {
   const { selectionStart: start, selectionEnd: end } = element;
+  const native = element.ownerDocument.execCommand("insertText", false, text);
 
-  element.value =
-    element.value.substring(0, start) +
-    text +
-    element.value.substring(end);
+  if (!native) {
+    if (!dispatchBeforeInputEvent(element, "insertText", text)) return null;
+    element.value =
+      element.value.substring(0, start) +
+      text +
+      element.value.substring(end);
+  }
 
-  const newCursorPosition = start + text.length;
+  const newCursorPosition = start + cursorOffset;
   element.selectionStart = element.selectionEnd = newCursorPosition;
 
-  dispatchInputEvent(element);
+  if (!native) {
+    dispatchInputEvent(element, "insertText", text);
+  }
+  return native;
 }
 
 /**
- * Inserts text into a contenteditable element with proper line break handling.
- * @param {string} text - The text to insert
+ * Replaces the value of an input without a caret API, such as an email, number or date input.
+ * @param {HTMLInputElement} element - The input
+ * @param {string} text - The new value
+ * @returns {string|null} Why the value was refused, or null if it was set
  */
-function insertIntoContentEditable(text) {
-  const selection = window.getSelection();
+function insertIntoValueInput(element, text) {
+  const value = text.trim();
+  // The browser sanitizes values that aren't valid for the type, e.g. to "" for "abc" in a number input
+  const probe = element.ownerDocument.createElement("input");
+  probe.type = element.type;
+  probe.value = value;
+  if (probe.value !== value) {
+    return `"${value}" is not a valid ${element.type} for this field`;
+  }
+
+  if (!dispatchBeforeInputEvent(element, "insertReplacementText", value)) {
+    return "The page did not accept the template";
+  }
+  element.value = value;
+  dispatchInputEvent(element, "insertReplacementText", value);
+  return null;
+}
+
+/**
+ * Fits expanded template text to the limits of an input or textarea.
+ * Single-line inputs join multi-line text into one line, or refuse it, following the template's policy.
+ * @param {HTMLElement} element - The input or textarea
+ * @param {string} text - The text to insert, possibly containing CURSOR_SENTINEL
+ * @param {string} [multiline] - The template's policy, "flatten" (default) or "reject"
+ * @returns {{text?: string, error?: string}} The text to insert, or why it doesn't fit
+ */
+function fitTextToField(element, text, multiline = MULTILINE_FLATTEN) {
+  let fitted = text;
+  if (element.tagName === "INPUT" && /[\r\n]/.test(text)) {
+    if (multiline === MULTILINE_REJECT) {
+      return { error: "This template has several lines, but the field only takes one" };
+    }
+    fitted = text.replace(LINE_BREAK_PATTERN, " ").trim();
+  }
+
+  if (element.maxLength >= 0) {
+    const length = fitted.replace(CURSOR_SENTINEL, "").length;
+    // Value inputs are replaced entirely; text fields keep everything outside the selection
+    const kept = isTextInput(element) ? element.value.length - (element.selectionEnd - element.selectionStart) : 0;
+    const room = Math.max(element.maxLength - kept, 0);
+    if (length > room) {
+      return { error: `The template is ${length} characters long, but the field has room for ${room}` };
+    }
+  }
+
+  return { text: fitted };
+}
+
+/**
+ * Explains why a field can't receive templates.
+ * @param {HTMLElement} element - The focused field
+ * @returns {string|null} The reason, or null if templates can be inserted
+ */
+function getInsertBlocker(element) {
+  if (element.tagName === "INPUT" && !isTextInput(element) && !isValueInput(element)) {
+    return `Templates can't be inserted into ${element.type} fields`;
+  }
+  if (element.matches(":disabled")) return "This field is disabled";
+  if (element.readOnly) return "This field is read-only";
+  return null;
+}
+
+/**
+ * Captures a field's content before a template is inserted, so the insertion can be undone.
+ * @param {HTMLElement} element - The text input or contenteditable element
+ * @returns {Object} The undo record
+ */
+function snapshotField(element) {
+  if (isTextInput(element)) {
+    const { value, selectionStart, selectionEnd } = element;
+    return { element, kind: "text", before: value, selectionStart, selectionEnd };
+  }
+  if (isValueInput(element) || element.tagName === "SELECT") {
+    return { element, kind: "value", before: element.value };
+  }
+  if (element.type === "checkbox") {
+    return { element, kind: "checked", before: element.checked };
+  }
+  return { element, kind: "html", before: element.innerHTML };
+}
+
+/**
+ * Reads the part of a field an undo record restores.
+ * @param {Object} record - The undo record from snapshotField
+ * @returns {string|boolean} The field's HTML, value or checked state
+ */
+function readFieldState(record) {
+  if (record.kind === "html") return record.element.innerHTML;
+  if (record.kind === "checked") return record.element.checked;
+  return record.element.value;
+}
+
+/**
+ * Remembers a finished insertion for undo and reports it to the service worker for the tab's history.
+ * @param {Object} record - The undo record from snapshotField, or a form fill's record holding one per field
+ * @param {string} [templateId] - The inserted template's id
+ */
+function recordInsertion(record, templateId) {
+  const fieldRecords = record.kind === "form" ? record.records : [record];
+  fieldRecords
+    .filter(fieldRecord => fieldRecord.kind !== "adapter")
+    .forEach(fieldRecord => { fieldRecord.after = readFieldState(fieldRecord); });
+
+  const records = window.__template_insertions || (window.__template_insertions = []);
+  records.push(record);
+  if (records.length > MAX_UNDO_RECORDS) records.shift();
+
+  if (templateId) {
+    chrome.runtime.sendMessage({ action: ACTION_RECORD_INSERTION, templateId });
+  }
+}
+
+/**
+ * Undoes the most recent template insertion in this frame.
+ * @returns {{ok: boolean, used: boolean, message: string}} The outcome, shown to the user; `used` is
+ *   true when an undo record was used up, even if the field couldn't be restored
+ */
+function undoLastInsertion() {
+  const records = window.__template_insertions || [];
+  const record = records.pop();
+
+  if (!record) {
+    return { ok: false, used: false, message: "No template insertion to undo" };
+  }
+  return { ...undoRecord(record), used: true };
+}
+
+/**
+ * Undoes one template insertion.
+ * The field is only restored if it hasn't been edited since, so later typing is never lost.
+ * @param {Object} record - The insertion's undo record
+ * @returns {{ok: boolean, message: string}} The outcome
+ */
+function undoRecord(record) {
+  if (record.kind === "form") {
+    // Defined in form-fill.js
+    return undoFormFill(record);
+  }
+  const { element } = record;
+  if (!element.isConnected) {
+    return { ok: false, message: "The field the template went into is no longer on the page" };
+  }
+  if (record.kind === "adapter") {
+    element.focus();
+    return { ok: false, message: "This editor keeps its own history: press Ctrl+Z (⌘Z) to undo the template" };
+  }
+
+  if (readFieldState(record) !== record.after) {
+    return { ok: false, message: "The field was edited after the template was inserted; use Ctrl+Z (⌘Z) instead" };
+  }
+
+  element.focus();
+  // Prefer the native undo, which also keeps the field's redo stack
+  if (!record.native || !element.ownerDocument.execCommand("undo") || element.value !== record.before) {
+    restoreField(record);
+  } else {
+    element.setSelectionRange(record.selectionStart, record.selectionEnd);
+  }
+
+  return { ok: true, message: "Template insertion undone" };
+}
+
+/**
+ * Puts a field's content back the way a snapshot recorded it.
+ * @param {Object} record - The undo record from snapshotField
+ */
+function restoreField(record) {
+  const { element } = record;
+  if (record.kind === "html") {
+    element.innerHTML = record.before;
+  } else if (record.kind === "checked") {
+    element.checked = record.before;
+  } else {
+    element.value = record.before;
+  }
+  if (record.kind === "text") {
+    element.setSelectionRange(record.selectionStart, record.selectionEnd);
+  }
+  dispatchInputEvent(element, "historyUndo");
+}
+
+/**
+ * Inserts sanitized HTML at the caret of a contenteditable element.
+ * The caret ends up at the cursor sentinel if present, otherwise after the inserted content.
+ * @param {HTMLElement} element - The contenteditable element
+ * @param {string} html - The sanitized HTML to insert
+ */
+function insertIntoContentEditable(element, html) {
+  const selection = getSelectionFor(element);
   if (!selection.rangeCount) return;
 
-  const range = selection.getRangeAt(0);
-  const focusNodeParent = selection.focusNode.parentNode;
-  range.deleteContents();
+  // insertHTML inserts at the selection, keeps the native undo stack and lets the editor normalize markup
+  if (!element.ownerDocument.execCommand("insertHTML", false, html)) {
+    const range = selection.getRangeAt(0);
+    range.deleteContents();
 
-  const textNode = createDocumentFragment(text);
-  const tempDiv = document.createElement('div');
-  tempDiv.innerHTML = textNode;
+    const fragment = range.createContextualFragment(html);
+    const lastNode = fragment.lastChild;
+    range.insertNode(fragment);
+    if (lastNode) {
+      range.setStartAfter(lastNode);
+    }
+    range.collapse(true);
+    selection.removeAllRanges();
+    selection.addRange(range);
+    dispatchInputEvent(element);
+  }
 
-  tempDiv.childNodes.forEach(function (node) {
-    focusNodeParent.appendChild(node)
-  })
+  placeCaretAtSentinel(element);
+}
 
-  // Move cursor to end of inserted content
-  range.collapse(false);
-  selection.removeAllRanges();
-  selection.addRange(range);
+/**
+ * Removes the cursor sentinel from an element and moves the caret to its position.
+ * @param {HTMLElement} root - The element containing the inserted content
+ */
+function placeCaretAtSentinel(root) {
+  const walker = root.ownerDocument.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+
+  while (walker.nextNode()) {
+    const node = walker.currentNode;
+    const offset = node.data.indexOf(CURSOR_SENTINEL);
+    if (offset === -1) continue;
+
+    node.deleteData(offset, CURSOR_SENTINEL.length);
+    const range = root.ownerDocument.createRange();
+    range.setStart(node, offset);
+    range.collapse(true);
+
+    const selection = getSelectionFor(root);
+    selection.removeAllRanges();
+    selection.addRange(range);
+    return;
+  }
+}
+
+/**
+ * Escapes text for use inside HTML.
+ * @param {string} text - The text to escape
+ * @returns {string} The escaped text
+ */
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/**
+ * Converts plain text to HTML, turning newlines into line breaks.
+ * @param {string} text - The plain text
+ * @returns {string} The HTML
+ */
+function textToHtml(text) {
+  return text.split("\n").map(escapeHtml).join("<br>");
+}
+
+/**
+ * Removes everything but a safe subset of formatting markup from HTML.
+ * Disallowed elements are unwrapped, dangerous ones dropped with their content,
+ * and only allowlisted attributes with safe URLs are kept.
+ * @param {string} html - The untrusted HTML
+ * @returns {string} The sanitized HTML
+ */
+function sanitizeHtml(html) {
+  const doc = new DOMParser().parseFromString(`<body>${html}</body>`, "text/html");
+  sanitizeChildren(doc.body);
+  return doc.body.innerHTML;
 }
 
 /**
- * Creates a document fragment with text and line breaks.
- * @param {string} text - The text content with newline separators
- * @returns {DocumentFragment} A fragment containing the formatted text
+ * Sanitizes the children of a node in place.
+ * @param {Node} parent - The node whose children are sanitized
  */
-function createDocumentFragment(text) {
-  let fragment = '';
-  const lines = text.split("\n");
+function sanitizeChildren(parent) {
+  Array.from(parent.childNodes).forEach(node => {
+    if (node.nodeType === Node.TEXT_NODE) return;
+
+    // SVG and MathML keep their lowercase tag names in HTML documents
+    if (node.nodeType !== Node.ELEMENT_NODE || DROPPED_TAGS.has(node.tagName.toUpperCase())) {
+      node.remove();
+      return;
+    }
+
+    sanitizeChildren(node);
 
-  lines.forEach((line, index) => {
-    let p = document.createElement('p');
-    let br = document.createElement('br');
-    p.innerText = line;
-    fragment += p.outerHTML;
-    fragment += br.outerHTML;
+    if (!ALLOWED_TAGS.has(node.tagName)) {
+      node.replaceWith(...node.childNodes);
+      return;
+    }
+
+    const allowedAttributes = ALLOWED_ATTRIBUTES[node.tagName] || [];
+    Array.from(node.attributes).forEach(({ name, value }) => {
+      const isUrl = name === "href" || name === "src";
+      if (!allowedAttributes.includes(name) || (isUrl && !SAFE_URL_PATTERN.test(value.trim()))) {
+        node.removeAttribute(name);
+      }
+    });
+
+    if (node.tagName === "A") {
+      node.setAttribute("rel", "noopener noreferrer");
+    }
   });
+}
 
-  return fragment;
+/**
+ * Renders inline Markdown (code, links, images, bold, italic, strikethrough) to HTML.
+ * @param {string} text - A single line of Markdown
+ * @returns {string} The HTML
+ */
+function renderMarkdownInline(text) {
+  return text.split(/(`[^`]+`)/).map((part, index) => {
+    if (index % 2) {
+      return `<code>${escapeHtml(part.slice(1, -1))}</code>`;
+    }
+    return escapeHtml(part)
+      .replace(/!\[([^\]]*)\]\(([^)\s]+)\)/g, '<img alt="$1" src="$2">')
+      .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, '<a href="$2">$1</a>')
+      .replace(/(\*\*|__)(?=\S)(.+?)(?<=\S)\1/g, "<strong>$2</strong>")
+      .replace(/\*(?=\S)(.+?)(?<=\S)\*/g, "<em>$1</em>")
+      .replace(/(^|\W)_(?=\S)(.+?)(?<=\S)_(?!\w)/g, "$1<em>$2</em>")
+      .replace(/~~(?=\S)(.+?)(?<=\S)~~/g, "<del>$1</del>");
+  }).join("");
 }
 
 /**
- * Dispatches an input event on an element to trigger change listeners.
+ * Converts Markdown to HTML. Supports headings, paragraphs, line breaks, lists,
+ * blockquotes, fenced code blocks, horizontal rules and inline formatting.
+ * @param {string} markdown - The Markdown source
+ * @returns {string} The HTML (not yet sanitized)
+ */
+function markdownToHtml(markdown) {
+  const lines = markdown.split("\n");
+  const blocks = [];
+  let paragraph = [];
+
+  const flushParagraph = () => {
+    if (paragraph.length) {
+      blocks.push(`<p>${paragraph.map(renderMarkdownInline).join("<br>")}</p>`);
+      paragraph = [];
+    }
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    let match;
+
+    if (/^\s*```/.test(line)) {
+      flushParagraph();
+      const code = [];
+      while (++i < lines.length && !/^\s*```/.test(lines[i])) {
+        code.push(lines[i]);
+      }
+      blocks.push(`<pre><code>${escapeHtml(code.join("\n"))}</code></pre>`);
+    } else if ((match = line.match(/^(#{1,6})\s+(.*)$/))) {
+      flushParagraph();
+      const level = match[1].length;
+      blocks.push(`<h${level}>${renderMarkdownInline(match[2])}</h${level}>`);
+    } else if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      flushParagraph();
+      blocks.push("<hr>");
+    } else if (/^>/.test(line)) {
+      flushParagraph();
+      const quote = [];
+      for (; i < lines.length && /^>/.test(lines[i]); i++) {
+        quote.push(lines[i].replace(/^>\s?/, ""));
+      }
+      i--;
+      blocks.push(`<blockquote>${markdownToHtml(quote.join("\n"))}</blockquote>`);
+    } else if (MARKDOWN_LIST_PATTERN.test(line)) {
+      flushParagraph();
+      const isOrdered = item => /^\s*\d/.test(item);
+      const ordered = isOrdered(line);
+      const items = [];
+      for (; i < lines.length && MARKDOWN_LIST_PATTERN.test(lines[i]) && isOrdered(lines[i]) === ordered; i++) {
+        items.push(`<li>${renderMarkdownInline(lines[i].replace(MARKDOWN_LIST_PATTERN, ""))}</li>`);
+      }
+      i--;
+      const tag = ordered ? "ol" : "ul";
+      blocks.push(`<${tag}>${items.join("")}</${tag}>`);
+    } else if (!line.trim()) {
+      flushParagraph();
+    } else {
+      paragraph.push(line);
+    }
+  }
+  flushParagraph();
+
+  return blocks.join("");
+}
+
+/**
+ * Converts HTML to readable plain text for fields that can't hold markup.
+ * @param {string} html - The HTML
+ * @returns {string} The plain text
+ */
+function htmlToPlainText(html) {
+  const doc = new DOMParser().parseFromString(`<body>${sanitizeHtml(html)}</body>`, "text/html");
+  return collectPlainText(doc.body, false).replace(/\n{3,}/g, "\n\n").trim();
+}
+
+/**
+ * Collects the text of a node, adding line breaks around block elements.
+ * @param {Node} node - The node to read
+ * @param {boolean} preformatted - Whether whitespace must be kept as-is
+ * @returns {string} The plain text
+ */
+function collectPlainText(node, preformatted) {
+  if (node.nodeType === Node.TEXT_NODE) {
+    return preformatted ? node.data : node.data.replace(/\s+/g, " ");
+  }
+
+  const tag = node.nodeName;
+  if (tag === "BR") return "\n";
+  if (tag === "HR") return "\n---\n";
+
+  const isPre = preformatted || tag === "PRE";
+  let text = Array.from(node.childNodes).map(child => collectPlainText(child, isPre)).join("");
+
+  if (tag === "LI") {
+    text = `- ${text.trim()}\n`;
+  } else if (PLAIN_TEXT_BLOCK_TAGS.has(tag)) {
+    text = `\n${isPre ? text : text.trim()}\n`;
+  }
+  return text;
+}
+
+/**
+ * Converts expanded template content into sanitized HTML for its format.
+ * @param {string} text - The expanded template content
+ * @param {string} format - One of "text", "markdown" or "html"
+ * @returns {string} The sanitized HTML
+ */
+function formatToHtml(text, format) {
+  if (format === FORMAT_HTML) return sanitizeHtml(text);
+  if (format === FORMAT_MARKDOWN) return sanitizeHtml(markdownToHtml(text));
+  return textToHtml(text);
+}
+
+/**
+ * Converts expanded template content into plain text for its format.
+ * Markdown is kept as-is since it is readable source text.
+ * @param {string} text - The expanded template content
+ * @param {string} format - One of "text", "markdown" or "html"
+ * @returns {string} The plain text
+ */
+function formatToPlainText(text, format) {
+  return format === FORMAT_HTML ? htmlToPlainText(text) : text;
+}
+
+/**
+ * Dispatches the beforeinput event of an edit made by script, giving the page a chance to cancel it.
+ * @param {HTMLElement} element - The element about to change
+ * @param {string} inputType - The InputEvent inputType, e.g. "insertText"
+ * @param {string|null} [data] - The inserted text
+ * @returns {boolean} False if the page cancelled the edit
+ */
+function dispatchBeforeInputEvent(element, inputType, data = null) {
+  return element.dispatchEvent(new InputEvent("beforeinput", { bubbles: true, cancelable: true, inputType, data }));
+}
+
+/**
+ * Dispatches input and change events for an edit made by script, so framework-controlled
+ * fields (React, Vue, Angular) pick up the new value.
  * @param {HTMLElement} element - The element to dispatch the event on
+ * @param {string} [inputType] - The InputEvent inputType
+ * @param {string|null} [data] - The inserted text
  */
-function dispatchInputEvent(element) {
-  element.dispatchEvent(new Event("input", { bubbles: true }));
+function dispatchInputEvent(element, inputType = "insertText", data = null) {
+  element.dispatchEvent(new InputEvent("input", { bubbles: true, inputType, data }));
+  element.dispatchEvent(new Event("change", { bubbles: true }));
 }
 
 /**
  * Handles template insertion into the active element.
- * @param {string} text - The template text to insert
+ * Rich formats are inserted as HTML into contenteditable elements and as plain text elsewhere.
+ * Fields that can't take the template are left alone and a notice says why.
+ * @param {string} content - The raw template content to expand and insert
+ * @param {string} [format] - One of "text", "markdown" or "html"
+ * @param {Object} [options] - `templateId` for the insertion history, the template's `multiline`
+ *   policy, and `snapshot` when the field was already changed for this insertion (e.g. an abbreviation removed)
+ * @returns {Promise<void>}
  */
-function insertTemplate(text) {
-  const element = document.activeElement;
-  if (!element) return;
+async function insertTemplate(content, format = FORMAT_TEXT, options = {}) {
+  // Put back anything already removed for this insertion, such as the typed abbreviation
+  const abandon = (message) => {
+    if (options.snapshot) restoreField(options.snapshot);
+    if (message) showNotice(message);
+  };
 
-  if (isTextInput(element)) {
-    insertIntoTextInput(element, text);
-  } else if (element.isContentEditable) {
-    insertIntoContentEditable(text);
+  const element = getDeepActiveElement();
+  if (!element || !isEditableField(element)) {
+    abandon();
+    return;
+  }
+
+  const blocker = getInsertBlocker(element);
+  if (blocker) {
+    abandon(blocker);
+    return;
+  }
+
+  const context = {
+    element,
+    selectedText: getSelectedText(element),
+    escape: format === FORMAT_HTML ? escapeHtml : null
+  };
+  const fields = collectFields(content);
+
+  if (fields.length) {
+    const restoreFocus = saveFocus(element);
+    context.fields = await promptForFields(fields, element);
+    restoreFocus();
+    if (!context.fields) {
+      abandon();
+      return;
+    }
+    await saveFieldValues(context.fields);
   }
+
+  const { text, cursor } = await expandPlaceholders(content, context);
+  const record = options.snapshot || snapshotField(element);
+  const refused = applyToField(element, text, cursor, format, record, options.multiline);
+  if (refused) {
+    abandon(refused);
+    return;
+  }
+  recordInsertion(record, options.templateId);
 }
 
 /**
- * Checks if an element is a textarea or input field.
+ * Puts expanded template text into a field at its caret, within the field's limits.
+ * @param {HTMLElement} element - The field
+ * @param {string} text - The expanded template text
+ * @param {number} cursor - Caret offset within the text
+ * @param {string} format - One of "text", "markdown" or "html"
+ * @param {Object} record - The field's undo record, updated with how the text went in
+ * @param {string} [multiline] - The template's policy for single-line inputs
+ * @returns {string|null} Why the text was refused, or null if it was inserted
+ */
+function applyToField(element, text, cursor, format, record, multiline) {
+  const marked = text.slice(0, cursor) + CURSOR_SENTINEL + text.slice(cursor);
+
+  let plain = formatToPlainText(marked, format);
+  if (isTextInput(element) || isValueInput(element)) {
+    const fitted = fitTextToField(element, plain, multiline);
+    if (fitted.error) return fitted.error;
+    plain = fitted.text;
+  }
+  const offset = plain.indexOf(CURSOR_SENTINEL);
+  const plainText = plain.replace(CURSOR_SENTINEL, "");
+  const plainCursor = offset === -1 ? plainText.length : offset;
+  const html = formatToHtml(marked, format);
+
+  // Editor frameworks (CodeMirror, Monaco, ProseMirror...) must be edited through their own APIs
+  const handledByAdapter = insertWithEditorAdapter(element, {
+    text: plainText,
+    cursor: plainCursor,
+    html: html.replace(CURSOR_SENTINEL, ""),
+    rich: format !== FORMAT_TEXT
+  });
+
+  if (handledByAdapter) {
+    // The editor's own undo history covers this insertion
+    record.kind = "adapter";
+  } else if (isValueInput(element)) {
+    return insertIntoValueInput(element, plainText);
+  } else if (isTextInput(element)) {
+    record.native = insertIntoTextInput(element, plainText, plainCursor);
+    if (record.native === null) return "The page did not accept the template";
+  } else {
+    insertIntoContentEditable(element, html);
+  }
+  return null;
+}
+
+/**
+ * Applies a wrap template to the current selection. In an editable field the selection is
+ * replaced; selected page text can't be edited, so the result is copied to the clipboard instead.
+ * @param {string} content - The raw template content, usually containing {{selection:...}}
+ * @param {string} [format] - One of "text", "markdown" or "html"
+ * @param {Object} [options] - Insertion options, see insertTemplate
+ * @returns {Promise<void>}
+ */
+async function wrapSelection(content, format = FORMAT_TEXT, options = {}) {
+  const element = getDeepActiveElement();
+  if (element && isEditableField(element)) {
+    await insertTemplate(content, format, options);
+    return;
+  }
+
+  const selection = window.getSelection();
+  if (!selection.rangeCount) return;
+  const anchor = selection.getRangeAt(0).commonAncestorContainer;
+  const context = {
+    element: anchor.nodeType === Node.ELEMENT_NODE ? anchor : anchor.parentElement,
+    selectedText: selection.toString(),
+    escape: format === FORMAT_HTML ? escapeHtml : null
+  };
+  const fields = collectFields(content);
+
+  if (fields.length) {
+    context.fields = await promptForFields(fields, context.element);
+    if (!context.fields) return;
+    await saveFieldValues(context.fields);
+  }
+
+  const { text } = await expandPlaceholders(content, context);
+  if (copyToClipboard(formatToPlainText(text, format))) {
+    showNotice("Copied to clipboard");
+  }
+}
+
+/**
+ * Copies text to the clipboard through a temporary textarea.
+ * @param {string} text - The text to copy
+ * @returns {boolean} True if the copy succeeded
+ */
+function copyToClipboard(text) {
+  const textarea = document.createElement("textarea");
+  textarea.value = text;
+  textarea.style.cssText = "position:fixed;top:0;left:0;opacity:0;";
+  document.documentElement.appendChild(textarea);
+  textarea.select();
+
+  let copied = false;
+  try {
+    copied = document.execCommand("copy");
+  } catch (error) {
+    console.warn('Failed to copy to clipboard:', error);
+  }
+  textarea.remove();
+  return copied;
+}
+
+/**
+ * Shows a short-lived message at the bottom of the page.
+ * @param {string} message - The message
+ * @param {number} [duration] - How long to show it, in milliseconds
+ */
+function showNotice(message, duration = NOTICE_DURATION) {
+  const host = document.createElement("div");
+  host.style.cssText = "position:fixed;z-index:2147483647;bottom:16px;left:50%;transform:translateX(-50%);";
+  const root = host.attachShadow({ mode: "closed" });
+  const notice = document.createElement("div");
+  notice.style.cssText = "max-width:80vw;padding:8px 14px;border-radius:8px;background:#111827;color:#fff;font:13px Arial,sans-serif;";
+  notice.textContent = message;
+  root.appendChild(notice);
+  document.documentElement.appendChild(host);
+  setTimeout(() => host.remove(), duration);
+}
+
+/**
+ * Finds the focused element, descending into shadow roots (open or closed)
+ * and same-origin iframes. Cross-origin frames run their own copy of this script.
+ * @returns {HTMLElement|null} The deepest focused element
+ */
+function getDeepActiveElement() {
+  let element = document.activeElement;
+
+  while (element) {
+    const shadowRoot = chrome.dom && chrome.dom.openOrClosedShadowRoot
+      ? chrome.dom.openOrClosedShadowRoot(element)
+      : element.shadowRoot;
+
+    if (shadowRoot && shadowRoot.activeElement) {
+      element = shadowRoot.activeElement;
+    } else if (element.tagName === "IFRAME" || element.tagName === "FRAME") {
+      let frameDocument = null;
+      try {
+        frameDocument = element.contentDocument;
+      } catch (error) {
+        // Cross-origin frame
+      }
+      if (!frameDocument || !frameDocument.activeElement) break;
+      element = frameDocument.activeElement;
+    } else {
+      break;
+    }
+  }
+
+  return element;
+}
+
+/**
+ * Gets the selection that applies to an element, which lives on the shadow root
+ * for elements inside shadow DOM and on the element's own window inside iframes.
+ * @param {HTMLElement} element - The element
+ * @returns {Selection} The selection object
+ */
+function getSelectionFor(element) {
+  const root = element.getRootNode();
+  if (root !== element.ownerDocument && typeof root.getSelection === "function") {
+    return root.getSelection();
+  }
+  return element.ownerDocument.defaultView.getSelection();
+}
+
+/**
+ * Checks if an element is a textarea or an input with a caret, such as a text or search input.
  * @param {HTMLElement} element - The element to check
  * @returns {boolean} True if the element is a text input
  */
 function isTextInput(element) {
-  return element.tagName === "TEXTAREA" || element.tagName === "INPUT";
+  return element.tagName === "TEXTAREA" || (element.tagName === "INPUT" && TEXT_INPUT_TYPES.has(element.type));
+}
+
+/**
+ * Checks if an element is an input typed into without a caret API, such as an email or number input.
+ * @param {HTMLElement} element - The element to check
+ * @returns {boolean} True if the element is a value input
+ */
+function isValueInput(element) {
+  return element.tagName === "INPUT" && VALUE_INPUT_TYPES.has(element.type);
+}
+
+/**
+ * Checks if an element is a field templates are meant for. Unsuitable inputs, like checkboxes,
+ * count as fields too, so insertTemplate can explain why they were skipped.
+ * @param {HTMLElement} element - The element to check
+ * @returns {boolean} True for inputs, textareas and contenteditable elements
+ */
+function isEditableField(element) {
+  return element.tagName === "INPUT" || element.tagName === "TEXTAREA" || element.isContentEditable;
+}
+
+/**
+ * Requests the merged template list from the background service worker.
+ * @returns {Promise<Array>} Array of template objects
+ */
+function requestTemplates() {
+  return new Promise((resolve) => {
+    chrome.runtime.sendMessage({ action: ACTION_GET_TEMPLATES }, (templates) => {
+      if (chrome.runtime.lastError) {
+        console.warn('Failed to load templates:', chrome.runtime.lastError.message);
+        resolve([]);
+        return;
+      }
+      resolve(templates || []);
+    });
+  });
+}
+
+/**
+ * Checks whether a storage change can change the templates offered on this page.
+ * @param {Object} changes - Changes from chrome.storage.onChanged
+ * @param {string} areaName - The storage area
+ * @returns {boolean} True if custom templates, sources or cached source templates changed
+ */
+function isTemplateChange(changes, areaName) {
+  if (areaName === "local") return SOURCE_CACHE_KEY in changes;
+  return areaName === "sync" && Object.keys(changes).some(key =>
+    key === TEMPLATES_META_KEY || key === LEGACY_TEMPLATES_KEY || key === SOURCES_KEY ||
+    key.startsWith(TEMPLATE_CHUNK_PREFIX)
+  );
+}
+
+/**
+ * Gets the templates that have an abbreviation, longest abbreviation first.
+ * The list is cached until template storage changes.
+ * @returns {Promise<Array>} Array of template objects with an abbreviation
+ */
+async function getAbbreviationTemplates() {
+  if (!window.__template_abbreviations) {
+    const templates = await requestTemplates();
+    window.__template_abbreviations = templates
+      .filter(t => t.abbreviation && t.content)
+      .sort((a, b) => b.abbreviation.length - a.abbreviation.length);
+  }
+  return window.__template_abbreviations;
+}
+
+/**
+ * Gets the text before a collapsed caret in the focused element.
+ * @param {HTMLElement} element - The focused editable element
+ * @returns {string} The text before the caret, or an empty string
+ */
+function getTextBeforeCaret(element) {
+  if (isTextInput(element)) {
+    const { selectionStart: start, selectionEnd: end } = element;
+    return start === null || start !== end ? '' : element.value.substring(0, start);
+  }
+
+  const selection = getSelectionFor(element);
+  if (!selection.rangeCount || !selection.isCollapsed) return '';
+
+  const { focusNode, focusOffset } = selection;
+  return focusNode.nodeType === Node.TEXT_NODE ? focusNode.data.substring(0, focusOffset) : '';
+}
+
+/**
+ * Deletes characters immediately before a collapsed caret.
+ * @param {HTMLElement} element - The focused editable element
+ * @param {number} length - Number of characters to delete
+ */
+function deleteTextBeforeCaret(element, length) {
+  if (isTextInput(element)) {
+    const start = element.selectionStart;
+    element.setRangeText('', start - length, start, 'end');
+    dispatchInputEvent(element, "deleteContentBackward");
+    return;
+  }
+
+  const selection = getSelectionFor(element);
+  const { focusNode, focusOffset } = selection;
+  const range = element.ownerDocument.createRange();
+  range.setStart(focusNode, focusOffset - length);
+  range.setEnd(focusNode, focusOffset);
+  range.deleteContents();
+  selection.removeAllRanges();
+  selection.addRange(range);
+}
+
+/**
+ * Finds the template whose abbreviation was just typed.
+ * An abbreviation only matches at the start of the text or after whitespace.
+ * @param {string} textBeforeCaret - The text before the caret
+ * @param {Array} templates - Templates with abbreviations
+ * @returns {Object|undefined} The matching template
+ */
+function findAbbreviationMatch(textBeforeCaret, templates) {
+  return templates.find(template => {
+    if (!textBeforeCaret.endsWith(template.abbreviation)) return false;
+    const before = textBeforeCaret.charAt(textBeforeCaret.length - template.abbreviation.length - 1);
+    return before === '' || /\s/.test(before);
+  });
+}
+
+/**
+ * Expands an abbreviation typed into an editable element.
+ * @param {InputEvent} event - The input event
+ * @returns {Promise<void>}
+ */
+async function handleAbbreviationInput(event) {
+  // Only react to real typing, not to our own synthetic input events
+  if (!event.isTrusted || event.isComposing || !event.inputType || !event.inputType.startsWith("insert")) return;
+
+  const element = getDeepActiveElement();
+  if (!element || !(isTextInput(element) || element.isContentEditable)) return;
+
+  const templates = await getAbbreviationTemplates();
+  if (!templates.length) return;
+
+  const template = findAbbreviationMatch(getTextBeforeCaret(element), templates);
+  if (!template) return;
+  if (template.error) {
+    showNotice(template.error);
+    return;
+  }
+
+  // Undo restores the typed abbreviation too
+  const snapshot = snapshotField(element);
+  deleteTextBeforeCaret(element, template.abbreviation.length);
+  await insertTemplate(template.content, template.format, {
+    templateId: template.id,
+    multiline: template.multiline,
+    snapshot
+  });
 }
 
 // Listen for template insertion messages from the popup
-// Ensure we only register one message listener even if the script is injected multiple times
+// Content scripts can be injected more than once per page, so their top-level state uses var
+// and the message listener is only registered once
 if (!window.__template_insert_listener_installed) {
   window.__template_insert_listener_installed = true;
 
   // Keep track of last insertion to avoid duplicate rapid insertions
   window.__last_template_insert = { text: null, time: 0 };
 
-  chrome.runtime.onMessage.addListener((msg) => {
+  chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
     if (msg && msg.action === "insertTemplate") {
       try {
         const now = Date.now();
-        const text = msg.text || '';
+        const text = msg.fill ? JSON.stringify(msg.fill) : msg.text || '';
+        const format = msg.format || FORMAT_TEXT;
 
         // If same text inserted within 500ms, ignore as duplicate
         if (window.__last_template_insert.text === text && (now - window.__last_template_insert.time) < 500) {
@@ -116,10 +1356,42 @@ if (!window.__template_insert_listener_installed) {
         }
 
         window.__last_template_insert = { text, time: now };
-        insertTemplate(text);
+        const options = { templateId: msg.id, multiline: msg.multiline };
+        // fillForm is defined in form-fill.js
+        const insertion = msg.fill
+          ? fillForm(msg.fill, format, options)
+          : (msg.wrap ? wrapSelection : insertTemplate)(text, format, options);
+        insertion.catch((e) => {
+          console.error('Error inserting template', e);
+        });
       } catch (e) {
         console.error('Error handling insertTemplate message', e);
       }
+    } else if (msg && msg.action === ACTION_UNDO_INSERTION) {
+      const result = undoLastInsertion();
+      showNotice(result.message);
+      sendResponse(result);
+    } else if (msg && msg.action === ACTION_SHOW_NOTICE) {
+      showNotice(msg.message);
+    } else if (msg && msg.action === ACTION_OPEN_PALETTE) {
+      // Defined in palette.js
+      openPalette().catch((e) => {
+        console.error('Error opening template palette', e);
+      });
+    }
+  });
+
+  // Expand abbreviations as they are typed
+  document.addEventListener("input", (event) => {
+    handleAbbreviationInput(event).catch((e) => {
+      console.error('Error expanding abbreviation', e);
+    });
+  }, true);
+
+  // Drop cached abbreviations when templates change, but not for usage stats, field values and other settings
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (isTemplateChange(changes, areaName)) {
+      window.__template_abbreviations = null;
     }
   });
 }
@@ -0,0 +1,60 @@
+// diff.js - line diffs between two versions of a template, shared by the popup and options page.
+const DIFF_SAME = "same";
+const DIFF_ADDED = "added";
+const DIFF_REMOVED = "removed";
+const DIFF_PREFIXES = { [DIFF_SAME]: "  ", [DIFF_ADDED]: "+ ", [DIFF_REMOVED]: "- " };
+
+/**
+ * Computes a line diff using the longest common subsequence.
+ * @param {string} before - The old text
+ * @param {string} after - The new text
+ * @returns {Array<{type: string, text: string}>} Lines marked same, added or removed, in order
+ */
+function diffLines(before, after) {
+  const a = before.split("\n");
+  const b = after.split("\n");
+
+  // lengths[i][j] = LCS length of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      lines.push({ type: DIFF_SAME, text: a[i] });
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      lines.push({ type: DIFF_REMOVED, text: a[i++] });
+    } else {
+      lines.push({ type: DIFF_ADDED, text: b[j++] });
+    }
+  }
+  while (i < a.length) lines.push({ type: DIFF_REMOVED, text: a[i++] });
+  while (j < b.length) lines.push({ type: DIFF_ADDED, text: b[j++] });
+
+  return lines;
+}
+
+/**
+ * Renders a line diff into an element, one line per child, classed by change type.
+ * @param {Array<{type: string, text: string}>} lines - Lines from diffLines
+ * @param {HTMLElement} container - The element to render into
+ */
+function renderDiff(lines, container) {
+  container.innerHTML = "";
+  lines.forEach(({ type, text }) => {
+    const line = document.createElement("div");
+    line.className = `diff-line diff-${type}`;
+    line.textContent = `${DIFF_PREFIXES[type]}${text}`;
+    container.appendChild(line);
+  });
+}
@@ -0,0 +1,176 @@
+// Adapters for rich editor frameworks that ignore direct DOM edits.
+var BRIDGE_CONNECT_EVENT = "template-inserter:connect";
+// Private event names agreed with the page bridge of each window, which page scripts can't guess
+var bridgeChannels = new WeakMap();
+
+/**
+ * Known editors, checked in order against the focused element's ancestors.
+ * Each strategy is tried until one reports success. Code editors receive plain text only.
+ */
+var EDITOR_ADAPTERS = [
+  { name: "codemirror6", selector: ".cm-editor", code: true, strategies: [insertViaPageBridge, insertViaTextCommand] },
+  { name: "codemirror5", selector: ".CodeMirror", code: true, strategies: [insertViaPageBridge] },
+  { name: "monaco", selector: ".monaco-editor", code: true, strategies: [insertViaPageBridge, insertViaTextCommand] },
+  { name: "quill", selector: ".ql-container", code: false, strategies: [insertViaPageBridge, insertViaPaste] },
+  { name: "prosemirror", selector: ".ProseMirror", code: false, strategies: [insertViaPageBridge, insertViaPaste] },
+  { name: "draftjs", selector: ".DraftEditor-root", code: false, strategies: [insertViaPaste, insertViaBeforeInput] },
+  { name: "lexical", selector: "[data-lexical-editor]", code: false, strategies: [insertViaPaste, insertViaBeforeInput] },
+  { name: "slate", selector: "[data-slate-editor]", code: false, strategies: [insertViaPaste, insertViaBeforeInput] }
+];
+
+/**
+ * Finds the editor adapter handling the focused element.
+ * @param {HTMLElement} element - The focused element
+ * @returns {{adapter: Object, root: HTMLElement}|null} The adapter and editor root, or null
+ */
+function findEditorAdapter(element) {
+  for (const adapter of EDITOR_ADAPTERS) {
+    const root = element.closest(adapter.selector);
+    if (root) {
+      return { adapter, root };
+    }
+  }
+  return null;
+}
+
+/**
+ * Inserts content through the focused editor's adapter.
+ * @param {HTMLElement} element - The focused element
+ * @param {Object} payload - The content ({ text, cursor, html, rich })
+ * @returns {boolean} True if an adapter inserted the content
+ */
+function insertWithEditorAdapter(element, payload) {
+  const match = findEditorAdapter(element);
+  if (!match) return false;
+
+  const { adapter, root } = match;
+  const adapterPayload = adapter.code ? { ...payload, html: null, rich: false } : payload;
+
+  for (const strategy of adapter.strategies) {
+    try {
+      if (strategy(adapter, root, element, adapterPayload)) {
+        return true;
+      }
+    } catch (error) {
+      console.warn(`Template insertion via ${adapter.name} adapter failed:`, error);
+    }
+  }
+
+  console.warn(`No ${adapter.name} strategy could insert the template, using default insertion`);
+  return false;
+}
+
+/**
+ * Tells the page bridge of a window a random event name to take requests on.
+ * @param {Window} view - The window
+ * @returns {string} The channel's event name prefix
+ */
+function connectPageBridge(view) {
+  let channel = bridgeChannels.get(view);
+  if (!channel) {
+    const random = Array.from(crypto.getRandomValues(new Uint32Array(4)), n => n.toString(36)).join("");
+    channel = `template-inserter:${random}`;
+    view.dispatchEvent(new CustomEvent(BRIDGE_CONNECT_EVENT, { detail: channel }));
+    bridgeChannels.set(view, channel);
+  }
+  return channel;
+}
+
+/**
+ * Asks page-bridge.js, running in the page's own JavaScript world, to insert through
+ * the editor's API. The request is dispatched on the editor root so the bridge can
+ * find it; events are synchronous, so the result is known when dispatchEvent returns.
+ * Both travel on the window's private channel, and only a result echoing the request's id counts.
+ * @param {Object} adapter - The editor adapter
+ * @param {HTMLElement} root - The editor root element
+ * @param {HTMLElement} element - The focused element
+ * @param {Object} payload - The content ({ text, cursor, html, rich })
+ * @returns {boolean} True if the editor API inserted the content
+ */
+function insertViaPageBridge(adapter, root, element, payload) {
+  // The bridge answers on the window of the frame that owns the editor
+  const view = root.ownerDocument.defaultView;
+  const channel = connectPageBridge(view);
+  const id = crypto.getRandomValues(new Uint32Array(1))[0];
+  let handled = false;
+  const onResult = (event) => {
+    try {
+      const result = JSON.parse(event.detail);
+      handled = handled || (result.id === id && result.handled === true);
+    } catch (error) {
+      // Not from the bridge
+    }
+  };
+
+  view.addEventListener(`${channel}:result`, onResult);
+  root.dispatchEvent(new CustomEvent(`${channel}:insert`, {
+    bubbles: true,
+    composed: true,
+    detail: JSON.stringify({ id, editor: adapter.name, ...payload })
+  }));
+  view.removeEventListener(`${channel}:result`, onResult);
+
+  return handled;
+}
+
+/**
+ * Inserts plain text as if typed, through the browser's insertText command.
+ * @param {Object} adapter - The editor adapter
+ * @param {HTMLElement} root - The editor root element
+ * @param {HTMLElement} element - The focused element
+ * @param {Object} payload - The content ({ text })
+ * @returns {boolean} True if the command was executed
+ */
+function insertViaTextCommand(adapter, root, element, payload) {
+  element.focus();
+  return element.ownerDocument.execCommand("insertText", false, payload.text);
+}
+
+/**
+ * Dispatches a synthetic paste event carrying the content.
+ * @param {Object} adapter - The editor adapter
+ * @param {HTMLElement} root - The editor root element
+ * @param {HTMLElement} element - The focused element
+ * @param {Object} payload - The content ({ text, html, rich })
+ * @returns {boolean} True if the editor handled the paste
+ */
+function insertViaPaste(adapter, root, element, payload) {
+  const data = new DataTransfer();
+  data.setData("text/plain", payload.text);
+  if (payload.rich && payload.html) {
+    data.setData("text/html", payload.html);
+  }
+
+  const event = new ClipboardEvent("paste", {
+    clipboardData: data,
+    bubbles: true,
+    cancelable: true,
+    composed: true
+  });
+  element.dispatchEvent(event);
+  return event.defaultPrevented;
+}
+
+/**
+ * Dispatches a synthetic beforeinput event of type insertText.
+ * @param {Object} adapter - The editor adapter
+ * @param {HTMLElement} root - The editor root element
+ * @param {HTMLElement} element - The focused element
+ * @param {Object} payload - The content ({ text })
+ * @returns {boolean} True if the editor handled the event
+ */
+function insertViaBeforeInput(adapter, root, element, payload) {
+  const event = new InputEvent("beforeinput", {
+    inputType: "insertText",
+    data: payload.text,
+    bubbles: true,
+    cancelable: true,
+    composed: true
+  });
+  element.dispatchEvent(event);
+  return event.defaultPrevented;
+}
+
+// Connect while the page is still loading: the bridge runs first, and page scripts haven't had a chance
+// to watch for the connect event yet
+connectPageBridge(window);
@@ -0,0 +1,220 @@
+// form-fill.js - form-fill templates, which set several fields of a page at once.
+// Runs after schema.js, which defines FILL_TARGET_KEYS, and content.js, which provides placeholder expansion
+// and field insertion.
+var FILL_REPORT_DURATION = 6000;
+var FILLABLE_SELECTOR = "input, textarea, select, [contenteditable]";
+var CHECKED_VALUE_PATTERN = /^(?:true|yes|on|1|x|checked)$/i;
+var UNCHECKED_VALUE_PATTERN = /^(?:false|no|off|0|unchecked|)$/i;
+
+/**
+ * Describes how a form-fill entry finds its field, for reports.
+ * @param {Object} entry - The entry ({ selector | name | label, value })
+ * @returns {string} E.g. `label "Severity"`
+ */
+function describeFillTarget(entry) {
+  const key = FILL_TARGET_KEYS.find(k => typeof entry[k] === "string");
+  return key ? `${key} "${entry[key]}"` : "a field without selector, name or label";
+}
+
+/**
+ * Normalizes label text for comparison, ignoring case, spacing, required markers and a trailing colon.
+ * @param {string|null} text - The label text
+ * @returns {string} The normalized text
+ */
+function normalizeLabel(text) {
+  return (text || "").replace(/\s+/g, " ").replace(/[\s*:]+$/, "").trim().toLowerCase();
+}
+
+/**
+ * Gets the text of a label without the text of controls nested in it, such as select options.
+ * @param {HTMLLabelElement} label - The label
+ * @returns {string} The label's own text
+ */
+function getLabelText(label) {
+  const copy = label.cloneNode(true);
+  copy.querySelectorAll("input, textarea, select, button").forEach(node => node.remove());
+  return copy.textContent;
+}
+
+/**
+ * Checks whether a form-fill entry can set an element.
+ * @param {HTMLElement} element - The element
+ * @returns {boolean} True for inputs, textareas, selects and contenteditable elements
+ */
+function isFillableField(element) {
+  return isEditableField(element) || element.tagName === "SELECT";
+}
+
+/**
+ * Finds the field labelled with some text, by its <label>, aria-label or placeholder.
+ * @param {string} text - The label text
+ * @param {Document} root - The document to search
+ * @returns {HTMLElement|null} The field
+ */
+function findFieldByLabel(text, root) {
+  const wanted = normalizeLabel(text);
+  for (const label of root.querySelectorAll("label")) {
+    if (label.control && normalizeLabel(getLabelText(label)) === wanted) return label.control;
+  }
+
+  return Array.from(root.querySelectorAll(FILLABLE_SELECTOR)).find(field =>
+    normalizeLabel(field.getAttribute("aria-label")) === wanted ||
+    normalizeLabel(field.getAttribute("placeholder")) === wanted
+  ) || null;
+}
+
+/**
+ * Finds the field a form-fill entry targets.
+ * @param {Object} entry - The entry ({ selector | name | label, value })
+ * @param {Document} [root] - The document to search
+ * @returns {HTMLElement|null} The first fillable match
+ */
+function findFillTarget(entry, root = document) {
+  let candidates = [];
+  if (typeof entry.selector === "string") {
+    try {
+      candidates = Array.from(root.querySelectorAll(entry.selector));
+    } catch (error) {
+      console.warn(`Invalid form-fill selector ${entry.selector}:`, error.message);
+    }
+  } else if (typeof entry.name === "string") {
+    candidates = Array.from(root.querySelectorAll(`[name="${CSS.escape(entry.name)}"]`));
+  } else if (typeof entry.label === "string") {
+    const field = findFieldByLabel(entry.label, root);
+    candidates = field ? [field] : [];
+  }
+  return candidates.find(isFillableField) || null;
+}
+
+/**
+ * Sets a select or checkbox from a form-fill value.
+ * @param {HTMLElement} element - The select or checkbox
+ * @param {string} value - An option's value or text, or true/false for a checkbox
+ * @returns {string|null} Why the value was refused, or null if it was set
+ */
+function setChoiceField(element, value) {
+  const wanted = value.trim();
+
+  if (element.tagName === "SELECT") {
+    const option = Array.from(element.options).find(o =>
+      o.value.toLowerCase() === wanted.toLowerCase() || o.text.trim().toLowerCase() === wanted.toLowerCase()
+    );
+    if (!option) return `There is no option "${wanted}"`;
+    element.value = option.value;
+    dispatchInputEvent(element, "insertReplacementText", option.value);
+    return null;
+  }
+
+  const checked = CHECKED_VALUE_PATTERN.test(wanted) || (UNCHECKED_VALUE_PATTERN.test(wanted) ? false : null);
+  if (checked === null) return `Expected true or false, got "${wanted}"`;
+  // A click toggles the box the way a user would, with the events frameworks listen for
+  if (element.checked !== checked) element.click();
+  return null;
+}
+
+/**
+ * Replaces the content of one field with a form-fill value.
+ * @param {HTMLElement} element - The field
+ * @param {string} value - The raw value, with placeholders
+ * @param {string} format - One of "text", "markdown" or "html"
+ * @param {Object} context - Insertion context shared by the form's fields ({ selectedText, fields, escape })
+ * @param {string} [multiline] - The template's policy for single-line inputs
+ * @returns {Promise<{record?: Object, error?: string}>} The field's undo record, or why it was skipped
+ */
+async function fillField(element, value, format, context, multiline) {
+  const { text, cursor } = await expandPlaceholders(value, { ...context, element });
+
+  if (element.tagName === "SELECT" || element.type === "checkbox") {
+    if (element.matches(":disabled")) return { error: "This field is disabled" };
+    const record = snapshotField(element);
+    const error = setChoiceField(element, formatToPlainText(text, format));
+    return error ? { error } : { record };
+  }
+
+  const blocker = getInsertBlocker(element);
+  if (blocker) return { error: blocker };
+
+  // Select the current content, so the value replaces it
+  element.focus();
+  if (isTextInput(element)) {
+    element.setSelectionRange(0, element.value.length);
+  } else if (element.isContentEditable) {
+    getSelectionFor(element).selectAllChildren(element);
+  }
+
+  const record = snapshotField(element);
+  const error = applyToField(element, text, cursor, format, record, multiline);
+  return error ? { error } : { record };
+}
+
+/**
+ * Fills the fields of a form-fill template on this page. Placeholders work as in text templates,
+ * and fill-in values are asked for once for the whole form. Fields that can't be found
+ * or filled are listed in a notice.
+ * @param {Array<Object>} entries - The template's fields ({ selector | name | label, value })
+ * @param {string} [format] - One of "text", "markdown" or "html"
+ * @param {Object} [options] - `templateId` for the insertion history, and the template's `multiline` policy
+ * @returns {Promise<void>}
+ */
+async function fillForm(entries, format = FORMAT_TEXT, options = {}) {
+  const targets = entries.map(entry => ({ entry, element: findFillTarget(entry) }));
+  const found = targets.filter(target => target.element);
+  const problems = targets
+    .filter(target => !target.element)
+    .map(target => `${describeFillTarget(target.entry)}: not found`);
+
+  const active = getDeepActiveElement();
+  const context = {
+    selectedText: active ? getSelectedText(active) : "",
+    escape: format === FORMAT_HTML ? escapeHtml : null
+  };
+  const fields = collectFields(entries.map(entry => entry.value).join("\n"));
+
+  if (fields.length && found.length) {
+    context.fields = await promptForFields(fields, found[0].element);
+    if (!context.fields) return;
+    await saveFieldValues(context.fields);
+  }
+
+  const records = [];
+  for (const { entry, element } of found) {
+    const { record, error } = await fillField(element, entry.value, format, context, options.multiline);
+    if (record) {
+      records.push(record);
+    } else {
+      problems.push(`${describeFillTarget(entry)}: ${error}`);
+    }
+  }
+
+  // Filling moves the focus through the form, so give it back to the field the user started from
+  if (active && active.isConnected && found.length) {
+    active.focus({ preventScroll: true });
+  }
+
+  if (records.length) {
+    recordInsertion({ kind: "form", records }, options.templateId);
+  }
+
+  const summary = `Filled ${records.length} of ${entries.length} fields`;
+  if (problems.length) {
+    console.warn(`${summary}:\n${problems.join("\n")}`);
+    showNotice(`${summary}. ${problems.join("; ")}`, FILL_REPORT_DURATION);
+  } else {
+    showNotice(summary);
+  }
+}
+
+/**
+ * Undoes a form fill. Fields are only restored if none of them was edited since.
+ * @param {Object} record - The form fill's undo record, holding one record per field
+ * @returns {{ok: boolean, message: string}} The outcome, shown to the user
+ */
+function undoFormFill(record) {
+  const fieldRecords = record.records.filter(r => r.kind !== "adapter" && r.element.isConnected);
+  if (fieldRecords.some(r => readFieldState(r) !== r.after)) {
+    return { ok: false, message: "Fields were edited after the form was filled, so it was left as it is" };
+  }
+
+  fieldRecords.forEach(restoreField);
+  return { ok: true, message: "Form fill undone" };
+}
@@ -0,0 +1,86 @@
+// includes.js - {{> template_id}} includes between templates, shared by the service worker and popup.
+// Text templates include other text templates, in their content or in the values of a form-fill template.
+const INCLUDE_PATTERN = /\{\{>\s*([^\s{}]+)\s*\}\}/g;
+const MAX_INCLUDE_DEPTH = 5;
+
+/**
+ * Raised when a template's includes can't be resolved.
+ */
+class IncludeError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "IncludeError";
+  }
+}
+
+/**
+ * Lists the template ids a template's content includes.
+ * @param {string} content - The template content
+ * @returns {Array<string>} Included ids, in order of appearance
+ */
+function getIncludedIds(content) {
+  return Array.from(content.matchAll(INCLUDE_PATTERN), match => match[1]);
+}
+
+/**
+ * Replaces {{> id}} includes with the content of the included templates, recursively.
+ * @param {Object} template - The template to resolve
+ * @param {Map<string, Object>} templatesById - All merged templates by id
+ * @param {Array<string>} [stack] - Ids of the templates currently being resolved
+ * @returns {string} The content with all includes resolved
+ * @throws {IncludeError} If an include is missing, circular or nested too deeply
+ */
+function resolveIncludes(template, templatesById, stack = []) {
+  const path = [...stack, template.id];
+
+  return template.content.replace(INCLUDE_PATTERN, (token, id) => {
+    if (path.includes(id)) {
+      throw new IncludeError(`has a circular include: ${[...path, id].join(" → ")}`);
+    }
+    if (path.length > MAX_INCLUDE_DEPTH) {
+      throw new IncludeError(`nests includes more than ${MAX_INCLUDE_DEPTH} levels deep: ${path.join(" → ")}`);
+    }
+    const included = templatesById.get(id);
+    const via = path.length > 1 ? ` via ${path.slice(1).join(" → ")}` : "";
+    if (!included) {
+      throw new IncludeError(`includes "${id}"${via}, but no template has that id`);
+    }
+    if (typeof included.content !== "string") {
+      throw new IncludeError(`includes "${id}"${via}, which is a form-fill template`);
+    }
+    return resolveIncludes(included, templatesById, path);
+  });
+}
+
+/**
+ * Resolves the includes in all of a template's text: its content, or each value of a form-fill template.
+ * @param {Object} template - The template to resolve
+ * @param {Map<string, Object>} templatesById - All merged templates by id
+ * @returns {Object} Copy of the template with includes resolved
+ * @throws {IncludeError} If an include is missing, circular or nested too deeply
+ */
+function resolveTemplateIncludes(template, templatesById) {
+  if (!Array.isArray(template.fill)) {
+    return { ...template, content: resolveIncludes(template, templatesById) };
+  }
+  return {
+    ...template,
+    fill: template.fill.map(field => ({ ...field, value: resolveIncludes({ id: template.id, content: field.value }, templatesById) }))
+  };
+}
+
+/**
+ * Checks whether a template's includes can be resolved.
+ * @param {Object} template - The template
+ * @param {Array} templates - All merged templates
+ * @returns {string|null} The problem, or null if every include resolves
+ */
+function findIncludeError(template, templates) {
+  try {
+    resolveTemplateIncludes(template, new Map(templates.map(t => [t.id, t])));
+    return null;
+  } catch (error) {
+    if (error instanceof IncludeError) return error.message;
+    throw error;
+  }
+}
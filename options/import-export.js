@@ -0,0 +1,294 @@
+// options/import-export.js - convert custom templates to and from JSON, CSV and other expander formats
+const CSV_COLUMNS = ["id", "name", "content", "abbreviation", "category", "format"];
+const IMPORT_FORMATS = {
+  AUTO: "auto",
+  JSON: "json",
+  CSV: "csv",
+  TEXTEXPANDER: "textexpander"
+};
+const IMPORT_PLACEHOLDER_ID = "__import_";
+const IMPORT_ACTIONS = {
+  ADD: "add",
+  SKIP: "skip",
+  OVERWRITE: "overwrite",
+  KEEP_BOTH: "keep-both"
+};
+
+/**
+ * Parses CSV text (RFC 4180: quoted fields, "" escapes, newlines inside quotes).
+ * @param {string} text - The CSV text
+ * @returns {Array<Array<string>>} Rows of fields, without empty lines
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  row.push(field);
+  rows.push(row);
+  return rows.filter(fields => fields.some(value => value !== ""));
+}
+
+/**
+ * Serializes rows to CSV, quoting fields when needed.
+ * @param {Array<Array<string>>} rows - Rows of fields
+ * @returns {string} The CSV text
+ */
+function toCsv(rows) {
+  return rows.map(fields => fields.map(value => {
+    const text = value === undefined || value === null ? "" : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(",")).join("\r\n");
+}
+
+/**
+ * Builds a template from named values, leaving out empty optional fields.
+ * @param {Object} values - Field values by name
+ * @returns {Object} The template
+ */
+function buildTemplate(values) {
+  const template = {};
+  CSV_COLUMNS.forEach(column => {
+    if (values[column] !== undefined && values[column] !== "") {
+      template[column] = values[column];
+    }
+  });
+  return template;
+}
+
+/**
+ * Exports templates as a versioned JSON document.
+ * @param {Array} templates - The templates to export
+ * @returns {string} The JSON text
+ */
+function templatesToJson(templates) {
+  return JSON.stringify({ version: TEMPLATE_SCHEMA_VERSION, templates }, null, 2);
+}
+
+/**
+ * Exports templates as CSV with a header row.
+ * @param {Array} templates - The templates to export
+ * @returns {string} The CSV text
+ */
+function templatesToCsv(templates) {
+  return toCsv([CSV_COLUMNS, ...templates.map(template => CSV_COLUMNS.map(column => template[column]))]);
+}
+
+/**
+ * Parses a CSV file exported by this extension (header row with at least name and content).
+ * @param {string} text - The CSV text
+ * @returns {Array} Templates
+ */
+function parseTemplateCsv(text) {
+  const [header = [], ...rows] = parseCsv(text);
+  const columns = header.map(name => name.trim().toLowerCase());
+
+  if (!columns.includes("name") || !columns.includes("content")) {
+    throw new Error("CSV needs a header row with at least \"name\" and \"content\" columns");
+  }
+
+  return rows.map(fields => {
+    const values = {};
+    columns.forEach((column, index) => {
+      values[column] = fields[index];
+    });
+    return buildTemplate(values);
+  });
+}
+
+/**
+ * Parses a TextExpander CSV export: abbreviation, content and label columns, no header.
+ * @param {string} text - The CSV text
+ * @returns {Array} Templates
+ */
+function parseTextExpanderCsv(text) {
+  return parseCsv(text).map(([abbreviation = "", content = "", label = ""]) => buildTemplate({
+    name: label.trim() || abbreviation.trim(),
+    content,
+    abbreviation: abbreviation.trim()
+  }));
+}
+
+/**
+ * Detects the format of an import file from its name and content.
+ * @param {string} fileName - The file name
+ * @param {string} text - The file content
+ * @returns {string} One of IMPORT_FORMATS
+ */
+function detectImportFormat(fileName, text) {
+  if (/\.json$/i.test(fileName) || /^\s*[[{]/.test(text)) {
+    return IMPORT_FORMATS.JSON;
+  }
+  const [header = []] = parseCsv(text);
+  const columns = header.map(name => name.trim().toLowerCase());
+  return columns.includes("name") && columns.includes("content")
+    ? IMPORT_FORMATS.CSV
+    : IMPORT_FORMATS.TEXTEXPANDER;
+}
+
+/**
+ * Parses an import file and validates its templates.
+ * Templates without an id get one when the import is applied.
+ * @param {string} fileName - The file name
+ * @param {string} text - The file content
+ * @param {string} [format] - One of IMPORT_FORMATS
+ * @returns {{templates: Array<Object>, issues: Array<Object>}} Valid templates ({ template, needsId })
+ *   and problems found
+ */
+function parseImportFile(fileName, text, format = IMPORT_FORMATS.AUTO) {
+  const resolvedFormat = format === IMPORT_FORMATS.AUTO ? detectImportFormat(fileName, text) : format;
+  let templates;
+
+  if (resolvedFormat === IMPORT_FORMATS.JSON) {
+    let json;
+    try {
+      json = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Invalid JSON: ${error.message}`);
+    }
+    templates = Array.isArray(json) ? json : (json && json.templates);
+    if (!Array.isArray(json) && json && json.version !== undefined && json.version !== TEMPLATE_SCHEMA_VERSION) {
+      throw new Error(`Unsupported schema version ${JSON.stringify(json.version)}, expected ${TEMPLATE_SCHEMA_VERSION}`);
+    }
+    if (!Array.isArray(templates)) {
+      throw new Error("Invalid JSON: expected an array of templates or { \"version\", \"templates\" }");
+    }
+  } else if (resolvedFormat === IMPORT_FORMATS.CSV) {
+    templates = parseTemplateCsv(text);
+  } else {
+    templates = parseTextExpanderCsv(text);
+  }
+
+  // Give id-less templates a placeholder id so they pass validation; a real one is assigned on apply
+  const placeholderIds = new Set();
+  const withIds = templates.map((template, index) => {
+    if (!template || typeof template !== "object" || template.id) return template;
+    const id = `${IMPORT_PLACEHOLDER_ID}${index}`;
+    placeholderIds.add(id);
+    return { ...template, id };
+  });
+
+  const { templates: valid, issues } = validateTemplateDocument(withIds);
+  return {
+    templates: valid.map(template => ({ template, needsId: placeholderIds.has(template.id) })),
+    issues: issues.map(issue => (placeholderIds.has(issue.id) ? { ...issue, id: null } : issue))
+  };
+}
+
+/**
+ * Generates a template id that is not already taken.
+ * @param {Set<string>} takenIds - Ids in use (updated with the new id)
+ * @returns {string} The new id
+ */
+function generateTemplateId(takenIds) {
+  let id = Date.now();
+  while (takenIds.has(id.toString())) {
+    id++;
+  }
+  takenIds.add(id.toString());
+  return id.toString();
+}
+
+/**
+ * Plans an import: finds which incoming templates collide with existing ones.
+ * @param {Array<Object>} incoming - Parsed templates ({ template, needsId })
+ * @param {Array} customTemplates - The user's current custom templates
+ * @param {Array<string>} defaultIds - Ids of default (remote) templates
+ * @returns {Array<Object>} Entries ({ template, needsId, existing, isDefault, action })
+ */
+function planImport(incoming, customTemplates, defaultIds) {
+  const customById = new Map(customTemplates.map(template => [template.id, template]));
+
+  return incoming.map(({ template, needsId }) => {
+    const existing = needsId ? null : customById.get(template.id) || null;
+    const isDefault = !needsId && defaultIds.includes(template.id);
+    return {
+      template,
+      needsId,
+      existing,
+      isDefault,
+      action: existing || isDefault ? IMPORT_ACTIONS.SKIP : IMPORT_ACTIONS.ADD
+    };
+  });
+}
+
+/**
+ * Applies a planned import to the custom templates.
+ * Abbreviations already used by another template are dropped from imported templates.
+ * @param {Array<Object>} plan - Entries from planImport with the chosen actions
+ * @param {Array} customTemplates - The user's current custom templates
+ * @param {Array} defaultTemplates - Default (remote) templates
+ * @returns {{templates: Array, imported: number, skipped: number}} The new custom templates and counts
+ */
+function applyImport(plan, customTemplates, defaultTemplates) {
+  const result = customTemplates.slice();
+  const takenIds = new Set([...customTemplates, ...defaultTemplates].map(template => template.id));
+  let imported = 0;
+  let skipped = 0;
+
+  const abbreviationOwners = () => new Map(
+    [...defaultTemplates, ...result]
+      .filter(template => template.abbreviation)
+      .map(template => [template.abbreviation, template.id])
+  );
+
+  plan.forEach(entry => {
+    if (entry.action === IMPORT_ACTIONS.SKIP) {
+      skipped++;
+      return;
+    }
+
+    const template = { ...entry.template };
+    if (entry.needsId || entry.action === IMPORT_ACTIONS.KEEP_BOTH) {
+      template.id = generateTemplateId(takenIds);
+    }
+    if (entry.action === IMPORT_ACTIONS.KEEP_BOTH) {
+      template.name = `${template.name} (imported)`;
+    }
+
+    const owner = template.abbreviation && abbreviationOwners().get(template.abbreviation);
+    if (owner && owner !== template.id) {
+      delete template.abbreviation;
+    }
+
+    const index = result.findIndex(existing => existing.id === template.id);
+    if (entry.action === IMPORT_ACTIONS.OVERWRITE && index !== -1) {
+      result[index] = template;
+    } else {
+      result.push(template);
+    }
+    takenIds.add(template.id);
+    imported++;
+  });
+
+  return { templates: result, imported, skipped };
+}
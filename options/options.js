@@ -1,58 +1,780 @@
-// options/options.js - save/load template JSON URL
-const urlInput = document.getElementById('template-json-url');
+// options/options.js - manage remote template sources and their refresh schedule
+const sourcesEl = document.getElementById('sources');
+const addSourceBtn = document.getElementById('add-source');
+const intervalInput = document.getElementById('refresh-interval');
 const saveBtn = document.getElementById('save');
 const refreshBtn = document.getElementById('refresh');
 const statusEl = document.getElementById('status');
+const exportJsonBtn = document.getElementById('export-json');
+const exportCsvBtn = document.getElementById('export-csv');
+const importBtn = document.getElementById('import');
+const importFileInput = document.getElementById('import-file');
+const importFormatSelect = document.getElementById('import-format');
+const importPreviewEl = document.getElementById('import-preview');
+const importSummaryEl = document.getElementById('import-summary');
+const importRowsEl = document.getElementById('import-rows');
+const importApplyBtn = document.getElementById('import-apply');
+const importCancelBtn = document.getElementById('import-cancel');
+const storageUsageEl = document.getElementById('storage-usage');
+const storageMeterEl = document.getElementById('storage-meter');
+const unusedDaysInput = document.getElementById('unused-days');
+const exportUsageBtn = document.getElementById('export-usage');
+const usageSummaryEl = document.getElementById('usage-summary');
+const usageRowsEl = document.getElementById('usage-rows');
+const teamEndpointInput = document.getElementById('team-endpoint');
+const teamTokenInput = document.getElementById('team-token');
+const teamSaveBtn = document.getElementById('team-save');
+const publishBtn = document.getElementById('publish');
+const teamStatusEl = document.getElementById('team-status');
+const publishRowsEl = document.getElementById('publish-rows');
 
-function showStatus(msg, isError = false) {
-  statusEl.textContent = msg;
-  statusEl.style.color = isError ? '#b91c1c' : '#065f46';
-  setTimeout(() => { statusEl.textContent = ''; }, 3000);
+const UNUSED_DAYS_KEY = 'usage_unused_days';
+const DEFAULT_UNUSED_DAYS = 30;
+
+let importPlan = null;
+// Templates the team server has a newer version of, by id: the TeamServerError holding that version
+const publishConflicts = new Map();
+
+function showStatus(msg, isError = false, el = statusEl) {
+  el.textContent = msg;
+  el.style.color = isError ? '#b91c1c' : '#065f46';
+  setTimeout(() => { el.textContent = ''; }, 3000);
 }
 
-// Load saved URL on open
-document.addEventListener('DOMContentLoaded', () => {
-  chrome.storage.sync.get(['template_json_url'], (result) => {
-    const url = result.template_json_url || '';
-    urlInput.value = url;
+/**
+ * Describes the last refresh result of a source.
+ * @param {Object} [entry] - The source's cache entry
+ * @returns {{text: string, isError: boolean}} Status text
+ */
+function describeSourceStatus(entry) {
+  if (!entry) {
+    return { text: 'Not loaded yet', isError: false };
+  }
+
+  const parts = [`${entry.count || 0} template(s)`];
+  if (entry.lastSuccess) {
+    parts.push(`last success ${new Date(entry.lastSuccess).toLocaleString()}`);
+  }
+  if (entry.lastError) {
+    parts.push(`last error: ${entry.lastError} (${new Date(entry.lastErrorAt).toLocaleString()})`);
+  }
+  return { text: parts.join(' · '), isError: Boolean(entry.lastError) };
+}
+
+/**
+ * Creates the itemized validation report of a source.
+ * @param {Array<Object>} issues - Issues ({ index, id, level, message })
+ * @returns {HTMLElement} The report element
+ */
+function createIssueReport(issues) {
+  const errorCount = issues.filter(issue => issue.level === 'error').length;
+  const warningCount = issues.length - errorCount;
+
+  const details = document.createElement('details');
+  details.className = 'source-report';
+  details.open = errorCount > 0;
+
+  const summary = document.createElement('summary');
+  summary.textContent = `${errorCount} error(s), ${warningCount} warning(s)` +
+    (errorCount ? ' - templates with errors are skipped' : '');
+  details.appendChild(summary);
+
+  const list = document.createElement('ul');
+  issues.forEach(issue => {
+    const item = document.createElement('li');
+    item.className = issue.level;
+    const position = issue.index === undefined ? '' : `#${issue.index} `;
+    item.textContent = `${position}(id: ${issue.id || 'none'}) ${issue.level}: ${issue.message}`;
+    list.appendChild(item);
   });
-});
+  details.appendChild(list);
 
-saveBtn.addEventListener('click', () => {
-  const url = urlInput.value && urlInput.value.trim();
-  chrome.storage.sync.set({ template_json_url: url || '' }, () => {
-    if (chrome.runtime.lastError) {
-      showStatus('Save failed', true);
-      console.error(chrome.runtime.lastError);
-      return;
+  return details;
+}
+
+/**
+ * Finds templates hidden by a template with the same id in an earlier source.
+ * @param {Array} sources - Array of sources, in precedence order
+ * @param {Object} cache - Map of source id to cache entry
+ * @returns {Object} Map of source id to extra issues
+ */
+function findShadowedTemplates(sources, cache) {
+  const owners = new Map();
+  const issues = {};
+
+  sources.filter(source => source.enabled).forEach(source => {
+    const templates = (cache[source.id] && cache[source.id].templates) || [];
+    issues[source.id] = [];
+    templates.forEach(template => {
+      if (owners.has(template.id)) {
+        issues[source.id].push({
+          id: template.id,
+          level: 'warning',
+          message: `hidden by the template with the same id in "${owners.get(template.id)}"`
+        });
+      } else {
+        owners.set(template.id, source.label || source.url);
+      }
+    });
+  });
+
+  return issues;
+}
+
+/**
+ * Creates the editable row for a source.
+ * @param {Object} source - The source ({ id, label, url, enabled })
+ * @param {Object} [entry] - The source's cache entry
+ * @param {Array<Object>} [extraIssues] - Issues found across sources
+ * @returns {HTMLElement} The row element
+ */
+function createSourceRow(source, entry, extraIssues = []) {
+  const row = document.createElement('div');
+  row.className = 'source-row';
+  row.dataset.id = source.id;
+
+  const enabled = document.createElement('input');
+  enabled.type = 'checkbox';
+  enabled.className = 'source-enabled';
+  enabled.checked = source.enabled !== false;
+  enabled.title = 'Enabled';
+
+  const label = document.createElement('input');
+  label.type = 'text';
+  label.className = 'source-label';
+  label.placeholder = 'Label (e.g. Team pack)';
+  label.value = source.label || '';
+
+  const url = document.createElement('input');
+  url.type = 'text';
+  url.className = 'source-url';
+  url.placeholder = 'http://127.0.0.1:5500/templates.json';
+  url.value = source.url || '';
+
+  const removeBtn = document.createElement('button');
+  removeBtn.className = 'remove-btn';
+  removeBtn.textContent = 'Remove';
+  removeBtn.onclick = () => row.remove();
+
+  const status = document.createElement('div');
+  status.className = 'source-status';
+  const { text, isError } = describeSourceStatus(entry);
+  status.textContent = text;
+  status.classList.toggle('error', isError);
+
+  row.append(enabled, label, url, removeBtn, status);
+
+  const issues = [...((entry && entry.issues) || []), ...extraIssues];
+  if (issues.length) {
+    row.appendChild(createIssueReport(issues));
+  }
+  return row;
+}
+
+/**
+ * Renders the source list with the status of each source.
+ * @param {Array} sources - Array of sources
+ * @param {Object} cache - Map of source id to cache entry
+ */
+function renderSources(sources, cache) {
+  const shadowed = findShadowedTemplates(sources, cache);
+  sourcesEl.innerHTML = '';
+  sources.forEach(source => {
+    sourcesEl.appendChild(createSourceRow(source, cache[source.id], shadowed[source.id]));
+  });
+}
+
+/**
+ * Reads the sources from the form, skipping rows without a URL.
+ * @returns {Array} Array of sources
+ */
+function readSources() {
+  return Array.from(sourcesEl.querySelectorAll('.source-row'))
+    .map(row => ({
+      id: row.dataset.id,
+      label: row.querySelector('.source-label').value.trim(),
+      url: row.querySelector('.source-url').value.trim(),
+      enabled: row.querySelector('.source-enabled').checked
+    }))
+    .filter(source => source.url);
+}
+
+/**
+ * Saves the sources and refresh interval from the form.
+ * @returns {Promise<void>}
+ */
+async function saveSettings() {
+  const minutes = Math.max(MIN_REFRESH_MINUTES, Number(intervalInput.value) || DEFAULT_REFRESH_MINUTES);
+  intervalInput.value = minutes;
+
+  await saveTemplateSources(readSources());
+  await new Promise((resolve) => {
+    chrome.storage.sync.set({ [REFRESH_INTERVAL_KEY]: minutes }, resolve);
+  });
+}
+
+/**
+ * Loads the settings and the status of every source into the page.
+ * @returns {Promise<void>}
+ */
+async function loadSettings() {
+  const [sources, cache, minutes] = await Promise.all([
+    getTemplateSources(),
+    getSourceCache(),
+    getRefreshInterval()
+  ]);
+  intervalInput.value = minutes;
+  renderSources(sources, cache);
+}
+
+/**
+ * Lists every template with its usage, least recently used first.
+ * @returns {Promise<Array<Object>>} Rows ({ id, name, source, count, lastUsed })
+ */
+async function getUsageRows() {
+  const [customTemplates, defaultTemplates, stats] = await Promise.all([
+    getTemplates(),
+    loadDefaultTemplates(),
+    getUsageStats()
+  ]);
+
+  const templates = new Map();
+  defaultTemplates.forEach(template => {
+    if (!templates.has(template.id)) templates.set(template.id, { template, source: 'default' });
+  });
+  customTemplates.forEach(template => {
+    if (!templates.has(template.id)) templates.set(template.id, { template, source: 'custom' });
+  });
+
+  return Array.from(templates.values(), ({ template, source }) => {
+    const entry = stats[template.id];
+    return {
+      id: template.id,
+      name: template.name,
+      source,
+      count: entry ? entry.count : 0,
+      lastUsed: entry ? entry.lastUsed : null
+    };
+  }).sort((a, b) => (a.lastUsed || 0) - (b.lastUsed || 0));
+}
+
+/**
+ * Reads the number of days after which a template counts as unused.
+ * @returns {number} The number of days
+ */
+function getUnusedDays() {
+  return Math.max(1, Math.round(Number(unusedDaysInput.value)) || DEFAULT_UNUSED_DAYS);
+}
+
+/**
+ * Shows the usage report, flagging templates unused for the chosen number of days.
+ * @returns {Promise<void>}
+ */
+async function renderUsageReport() {
+  let rows;
+  try {
+    rows = await getUsageRows();
+  } catch (error) {
+    // Templates are still syncing; the report is rendered again once they arrive
+    if (error instanceof TemplateStorageError) return;
+    throw error;
+  }
+  const days = getUnusedDays();
+  let unused = 0;
+
+  usageRowsEl.innerHTML = '';
+  rows.forEach(row => {
+    const isUnused = isUnusedFor(row, days);
+    if (isUnused) unused++;
+
+    const tr = document.createElement('tr');
+    tr.className = isUnused ? 'unused' : '';
+    tr.title = row.id;
+    [
+      row.name,
+      row.source,
+      String(row.count),
+      row.lastUsed ? new Date(row.lastUsed).toLocaleDateString() : 'Never'
+    ].forEach(text => {
+      const td = document.createElement('td');
+      td.textContent = text;
+      tr.appendChild(td);
+    });
+    usageRowsEl.appendChild(tr);
+  });
+
+  usageSummaryEl.textContent = `${unused} of ${rows.length} template(s) not used in the last ${days} day(s).`;
+}
+
+/**
+ * Downloads the usage report as CSV.
+ * @returns {Promise<void>}
+ */
+async function exportUsage() {
+  try {
+    const rows = await getUsageRows();
+    const days = getUnusedDays();
+    const csv = toCsv([
+      ['id', 'name', 'source', 'uses', 'last_used', `unused_${days}_days`],
+      ...rows.map(row => [
+        row.id,
+        row.name,
+        row.source,
+        row.count,
+        row.lastUsed ? new Date(row.lastUsed).toISOString() : '',
+        isUnusedFor(row, days) ? 'yes' : 'no'
+      ])
+    ]);
+    downloadFile('template-usage.csv', csv, 'text/csv');
+  } catch (error) {
+    showStatus(`Export failed: ${error.message}`, true);
+    console.error(error);
+  }
+}
+
+/**
+ * Loads the unused-days threshold and shows the usage report.
+ */
+function loadUsageReport() {
+  chrome.storage.local.get([UNUSED_DAYS_KEY], (result) => {
+    unusedDaysInput.value = result[UNUSED_DAYS_KEY] || DEFAULT_UNUSED_DAYS;
+    renderUsageReport();
+  });
+}
+
+/**
+ * Loads the team server settings into the page.
+ * @returns {Promise<void>}
+ */
+async function loadTeamServer() {
+  const server = await getTeamServer();
+  teamEndpointInput.value = server.endpoint;
+  teamTokenInput.value = server.token;
+  renderPublishRows();
+}
+
+/**
+ * Creates the buttons resolving a publish conflict.
+ * @param {Object} template - The local template
+ * @param {TeamServerError} conflict - The conflict, holding the server's version
+ * @returns {Array<HTMLElement>} The buttons
+ */
+function createConflictButtons(template, conflict) {
+  const overwriteBtn = document.createElement('button');
+  overwriteBtn.textContent = 'Overwrite';
+  overwriteBtn.title = 'Replace the server version with yours';
+  overwriteBtn.onclick = () => publishTemplates([template.id], conflict.current.etag);
+
+  const takeBtn = document.createElement('button');
+  takeBtn.className = 'secondary';
+  takeBtn.textContent = 'Use server version';
+  takeBtn.title = isOverride(template)
+    ? 'Discard your change and use the default template from the server'
+    : 'Replace your template with the server version';
+  takeBtn.onclick = () => {
+    useServerVersion(template, conflict).catch(error => showStatus(error.message, true, teamStatusEl));
+  };
+
+  return [overwriteBtn, takeBtn];
+}
+
+/**
+ * Lists the custom templates and local changes to defaults with their publication status.
+ * @returns {Promise<void>}
+ */
+async function renderPublishRows() {
+  let templates;
+  try {
+    templates = await getTemplates();
+  } catch (error) {
+    // Templates are still syncing; the list is rendered again once they arrive
+    return;
+  }
+  const publications = await getPublications();
+
+  publishRowsEl.innerHTML = '';
+  templates.forEach(template => {
+    const conflict = publishConflicts.get(template.id);
+    const row = document.createElement('tr');
+    row.className = conflict ? 'conflict' : '';
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.value = template.id;
+    const checkCell = document.createElement('td');
+    checkCell.appendChild(checkbox);
+
+    const nameCell = document.createElement('td');
+    nameCell.textContent = template.name;
+    nameCell.title = template.id;
+
+    const statusCell = document.createElement('td');
+    statusCell.textContent = conflict ? conflict.message : describePublication(template, publications[template.id]);
+    if (conflict && conflict.current) {
+      const buttons = document.createElement('div');
+      buttons.append(...createConflictButtons(template, conflict));
+      statusCell.appendChild(buttons);
     }
-    showStatus('Saved');
-    // notify background/popup to reload templates if needed
-    chrome.runtime.sendMessage({ action: 'reloadMenus' });
+
+    row.append(checkCell, nameCell, statusCell);
+    publishRowsEl.appendChild(row);
+  });
+}
+
+/**
+ * Publishes templates to the team server, one at a time, and reports the outcome.
+ * @param {Array<string>} ids - Ids of the templates to publish
+ * @param {string} [overwrite] - ETag of the server version to replace, after a conflict
+ * @returns {Promise<void>}
+ */
+async function publishTemplates(ids, overwrite) {
+  publishBtn.disabled = true;
+  const counts = { published: 0, proposed: 0, conflicts: 0 };
+  let failure = null;
+
+  try {
+    const templates = await getTemplates();
+    for (const id of ids) {
+      const template = templates.find(t => t.id === id);
+      if (!template) continue;
+      try {
+        const result = await publishTemplate(template, { overwrite });
+        publishConflicts.delete(id);
+        counts[result]++;
+      } catch (error) {
+        if (error instanceof TeamServerError && error.current) {
+          publishConflicts.set(id, error);
+          counts.conflicts++;
+        } else {
+          failure = error;
+        }
+      }
+    }
+  } catch (error) {
+    failure = error;
+  } finally {
+    publishBtn.disabled = false;
+  }
+
+  await renderPublishRows();
+  if (failure) {
+    showStatus(failure.message, true, teamStatusEl);
+    console.error(failure);
+    return;
+  }
+  const parts = [`${counts.conflicts ? '' : '✓ '}Published ${counts.published}`];
+  if (counts.proposed) parts.push(`${counts.proposed} sent for review`);
+  if (counts.conflicts) parts.push(`${counts.conflicts} conflict(s), see below`);
+  showStatus(parts.join(', '), counts.conflicts > 0, teamStatusEl);
+}
+
+/**
+ * Resolves a publish conflict by taking the server's version.
+ * @param {Object} template - The local template
+ * @param {TeamServerError} conflict - The conflict, holding the server's version
+ * @returns {Promise<void>}
+ */
+async function useServerVersion(template, conflict) {
+  const templates = await getTemplates();
+  const index = templates.findIndex(t => t.id === template.id);
+
+  if (isOverride(template)) {
+    // The default from the server takes over once the sources are refreshed
+    if (index !== -1) templates.splice(index, 1);
+    await saveTemplates(templates);
+    await chrome.runtime.sendMessage({ action: 'refreshSources' });
+  } else {
+    const serverTemplate = { ...conflict.current.template, id: template.id };
+    if (index !== -1) templates[index] = serverTemplate;
+    await saveTemplates(templates);
+    await recordPublication(serverTemplate, conflict.current.etag, PUBLISH_RESULTS.PUBLISHED);
+  }
+
+  publishConflicts.delete(template.id);
+  await renderPublishRows();
+  showStatus('✓ Using the server version', false, teamStatusEl);
+}
+
+/**
+ * Retrieves custom templates from storage.
+ * @returns {Promise<Array>} Array of template objects
+ */
+function getTemplates() {
+  return readCustomTemplates();
+}
+
+/**
+ * Saves custom templates to storage. The service worker updates the context menu from the storage change.
+ * @param {Array} templates - Array of template objects to save
+ * @returns {Promise<void>} Rejects with a TemplateStorageError when the save fails
+ */
+function saveTemplates(templates) {
+  return writeCustomTemplates(templates);
+}
+
+/**
+ * Shows how much of the sync storage quota is used.
+ * @returns {Promise<void>}
+ */
+async function renderStorageUsage() {
+  const usage = await getStorageUsage();
+  const percent = Math.min(100, Math.round(usage.bytesInUse / usage.quotaBytes * 100));
+
+  storageMeterEl.value = usage.bytesInUse;
+  storageMeterEl.max = usage.quotaBytes;
+  storageUsageEl.textContent =
+    `${formatBytes(usage.bytesInUse)} of ${formatBytes(usage.quotaBytes)} sync storage used (${percent}%). ` +
+    `Custom templates take ${formatBytes(usage.templateBytes)} in ${usage.chunks || 1} item(s).`;
+  storageUsageEl.classList.toggle('error', percent >= 90);
+}
+
+/**
+ * Offers text as a file download.
+ * @param {string} fileName - The suggested file name
+ * @param {string} text - The file content
+ * @param {string} type - The MIME type
+ */
+function downloadFile(fileName, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Exports the custom templates in the given format.
+ * @param {string} format - "json" or "csv"
+ * @returns {Promise<void>}
+ */
+async function exportTemplates(format) {
+  let templates;
+  try {
+    templates = await getTemplates();
+  } catch (error) {
+    showStatus(`Export failed: ${error.message}`, true);
+    console.error(error);
+    return;
+  }
+  if (!templates.length) {
+    showStatus('No custom templates to export', true);
+    return;
+  }
+
+  const date = new Date().toISOString().slice(0, 10);
+  if (format === IMPORT_FORMATS.CSV) {
+    // CSV has one content column, so form-fill templates only travel as JSON
+    const textTemplates = templates.filter(template => !isFormFillTemplate(template));
+    const skipped = templates.length - textTemplates.length;
+    downloadFile(`templates-${date}.csv`, templatesToCsv(textTemplates), 'text/csv');
+    showStatus(`✓ Exported ${textTemplates.length} template(s)` +
+      (skipped ? `, ${skipped} form-fill template(s) need JSON export` : ''));
+    return;
+  }
+  downloadFile(`templates-${date}.json`, templatesToJson(templates), 'application/json');
+  showStatus(`✓ Exported ${templates.length} template(s)`);
+}
+
+/**
+ * Creates the action dropdown for an import entry.
+ * Default templates can't be overwritten by custom ones, only kept alongside.
+ * @param {Object} entry - The import plan entry
+ * @returns {HTMLElement} The select element
+ */
+function createImportActionSelect(entry) {
+  const select = document.createElement('select');
+  const actions = entry.existing
+    ? [IMPORT_ACTIONS.SKIP, IMPORT_ACTIONS.OVERWRITE, IMPORT_ACTIONS.KEEP_BOTH]
+    : entry.isDefault
+      ? [IMPORT_ACTIONS.SKIP, IMPORT_ACTIONS.KEEP_BOTH]
+      : [IMPORT_ACTIONS.ADD, IMPORT_ACTIONS.SKIP];
+  const labels = {
+    [IMPORT_ACTIONS.ADD]: 'Add',
+    [IMPORT_ACTIONS.SKIP]: 'Skip',
+    [IMPORT_ACTIONS.OVERWRITE]: 'Overwrite',
+    [IMPORT_ACTIONS.KEEP_BOTH]: 'Keep both'
+  };
+
+  actions.forEach(action => {
+    const option = document.createElement('option');
+    option.value = action;
+    option.textContent = labels[action];
+    select.appendChild(option);
+  });
+  select.value = entry.action;
+  select.onchange = () => {
+    entry.action = select.value;
+  };
+  return select;
+}
+
+/**
+ * Adds a row to the import preview table.
+ * @param {string} name - The template label
+ * @param {string} status - The status text
+ * @param {HTMLElement|null} action - The action control, if any
+ * @param {string} [className] - Extra row class
+ */
+function addImportRow(name, status, action, className = '') {
+  const row = document.createElement('tr');
+  row.className = className;
+  [name, status].forEach(text => {
+    const cell = document.createElement('td');
+    cell.textContent = text;
+    row.appendChild(cell);
   });
+  const actionCell = document.createElement('td');
+  if (action) actionCell.appendChild(action);
+  row.appendChild(actionCell);
+  importRowsEl.appendChild(row);
+}
+
+/**
+ * Shows the conflict-resolution preview for an import.
+ * @param {Array<Object>} plan - Entries from planImport
+ * @param {Array<Object>} issues - Validation issues
+ */
+function renderImportPreview(plan, issues) {
+  importRowsEl.innerHTML = '';
+
+  plan.forEach(entry => {
+    const { template } = entry;
+    const status = entry.existing
+      ? `Conflicts with your template "${entry.existing.name}"`
+      : entry.isDefault
+        ? 'Same id as a default template'
+        : 'New';
+    addImportRow(template.name, status, createImportActionSelect(entry), entry.existing || entry.isDefault ? 'conflict' : '');
+  });
+
+  issues.forEach(issue => {
+    const label = `#${issue.index}${issue.id ? ` (id: ${issue.id})` : ''}`;
+    const text = issue.level === 'error' ? `Skipped: ${issue.message}` : `Warning: ${issue.message}`;
+    addImportRow(label, text, null, issue.level);
+  });
+
+  const conflicts = plan.filter(entry => entry.existing || entry.isDefault).length;
+  const errors = issues.filter(issue => issue.level === 'error').length;
+  importSummaryEl.textContent = `${plan.length} template(s) to import, ${conflicts} conflict(s), ${errors} invalid.`;
+  importPreviewEl.hidden = false;
+}
+
+/**
+ * Reads an import file and shows the preview.
+ * @param {File} file - The selected file
+ * @returns {Promise<void>}
+ */
+async function previewImport(file) {
+  try {
+    const text = await file.text();
+    const { templates, issues } = parseImportFile(file.name, text, importFormatSelect.value);
+    const [customTemplates, defaultTemplates] = await Promise.all([getTemplates(), loadDefaultTemplates()]);
+
+    importPlan = planImport(templates, customTemplates, defaultTemplates.map(t => t.id));
+    renderImportPreview(importPlan, issues);
+  } catch (error) {
+    showStatus(`Import failed: ${error.message}`, true);
+    console.error(error);
+  }
+}
+
+/**
+ * Hides the import preview.
+ */
+function closeImportPreview() {
+  importPlan = null;
+  importPreviewEl.hidden = true;
+  importRowsEl.innerHTML = '';
+  importFileInput.value = '';
+}
+
+// Load saved settings on open
+document.addEventListener('DOMContentLoaded', () => {
+  loadSettings();
+  renderStorageUsage();
+  loadUsageReport();
+  loadTeamServer();
 });
 
-refreshBtn.addEventListener('click', async () => {
-  const url = urlInput.value && urlInput.value.trim();
-  if (!url) {
-    showStatus('Please enter a URL first', true);
+// Keep the usage display current while templates are edited or inserted elsewhere
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'sync') {
+    renderStorageUsage();
+    renderUsageReport();
+    if (isTemplateStorageChange(changes, areaName)) renderPublishRows();
+  } else if (areaName === 'local' && changes[USAGE_KEY]) {
+    renderUsageReport();
+  }
+});
+
+unusedDaysInput.addEventListener('change', () => {
+  chrome.storage.local.set({ [UNUSED_DAYS_KEY]: getUnusedDays() });
+  renderUsageReport();
+});
+
+exportUsageBtn.addEventListener('click', exportUsage);
+
+teamSaveBtn.addEventListener('click', async () => {
+  try {
+    await saveTeamServer({ endpoint: teamEndpointInput.value.trim(), token: teamTokenInput.value.trim() });
+    showStatus('Saved', false, teamStatusEl);
+  } catch (error) {
+    showStatus(error.message, true, teamStatusEl);
+  }
+});
+
+publishBtn.addEventListener('click', () => {
+  const ids = Array.from(publishRowsEl.querySelectorAll('input[type="checkbox"]:checked'), checkbox => checkbox.value);
+  if (!ids.length) {
+    showStatus('Select the templates to publish first', true, teamStatusEl);
     return;
   }
+  publishTemplates(ids);
+});
+
+addSourceBtn.addEventListener('click', () => {
+  sourcesEl.appendChild(createSourceRow({ id: Date.now().toString(), enabled: true }));
+});
+
+saveBtn.addEventListener('click', async () => {
+  try {
+    await saveSettings();
+    showStatus('Saved');
+  } catch (error) {
+    showStatus('Save failed', true);
+    console.error(error);
+  }
+});
 
+refreshBtn.addEventListener('click', async () => {
   refreshBtn.disabled = true;
   try {
-    const response = await fetch(url);
-    if (!response.ok) {
-      showStatus(`HTTP ${response.status}`, true);
+    await saveSettings();
+    const sources = await getTemplateSources();
+    if (!sources.length) {
+      showStatus('Please add a source first', true);
       return;
     }
-    const templates = await response.json();
-    if (!Array.isArray(templates)) {
-      showStatus('Invalid JSON: expected array', true);
-      return;
+
+    // The service worker owns fetching, so the refreshed menu and cache stay in sync
+    const cache = await chrome.runtime.sendMessage({ action: 'refreshSources' });
+    renderSources(sources, cache);
+
+    const failed = sources.filter(source => source.enabled && cache[source.id] && cache[source.id].lastError);
+    const invalid = sources.filter(source => source.enabled && cache[source.id] &&
+      (cache[source.id].issues || []).some(issue => issue.level === 'error'));
+    const total = sources
+      .filter(source => source.enabled)
+      .reduce((sum, source) => sum + ((cache[source.id] && cache[source.id].count) || 0), 0);
+
+    if (failed.length) {
+      showStatus(`${failed.length} source(s) failed, using cached templates`, true);
+    } else if (invalid.length) {
+      showStatus(`Loaded ${total} template(s), ${invalid.length} source(s) have invalid templates`, true);
+    } else {
+      showStatus(`✓ Loaded ${total} template(s)`);
     }
-    showStatus(`✓ Loaded ${templates.length} template(s)`);
-    chrome.runtime.sendMessage({ action: 'reloadMenus' });
   } catch (error) {
     showStatus(`Error: ${error.message}`, true);
     console.error(error);
@@ -60,3 +782,34 @@ refreshBtn.addEventListener('click', async () => {
     refreshBtn.disabled = false;
   }
 });
+
+exportJsonBtn.addEventListener('click', () => exportTemplates(IMPORT_FORMATS.JSON));
+exportCsvBtn.addEventListener('click', () => exportTemplates(IMPORT_FORMATS.CSV));
+importBtn.addEventListener('click', () => importFileInput.click());
+importCancelBtn.addEventListener('click', closeImportPreview);
+
+importFileInput.addEventListener('change', () => {
+  const [file] = importFileInput.files;
+  if (file) {
+    previewImport(file);
+  }
+});
+
+importApplyBtn.addEventListener('click', async () => {
+  if (!importPlan) return;
+
+  importApplyBtn.disabled = true;
+  try {
+    const [customTemplates, defaultTemplates] = await Promise.all([getTemplates(), loadDefaultTemplates()]);
+    const { templates, imported, skipped } = applyImport(importPlan, customTemplates, defaultTemplates);
+    await saveTemplates(templates);
+    renderStorageUsage();
+    closeImportPreview();
+    showStatus(`✓ Imported ${imported} template(s), skipped ${skipped}`);
+  } catch (error) {
+    showStatus(`Import failed: ${error.message}`, true);
+    console.error(error);
+  } finally {
+    importApplyBtn.disabled = false;
+  }
+});
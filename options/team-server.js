@@ -0,0 +1,215 @@
+// options/team-server.js - publish custom templates and changes to default templates to a team template server.
+// The REST contract is documented in the README under "Team Server"; server/team-server.js implements it.
+const TEAM_SERVER_KEY = "team_server";
+const TEAM_PUBLICATIONS_KEY = "team_publications";
+// Fields that only mean something in this browser
+const UNPUBLISHED_FIELDS = ["overrides", "updatedAt", "revision", "basedOn"];
+const PUBLISH_RESULTS = {
+  PUBLISHED: "published",
+  PROPOSED: "proposed"
+};
+
+/**
+ * Error raised when the team server refuses a request, with a message fit for the user.
+ * Conflicts carry the server's current version, so the user can compare and decide.
+ */
+class TeamServerError extends Error {
+  constructor(message, status, current = null) {
+    super(message);
+    this.name = "TeamServerError";
+    this.status = status;
+    this.current = current;
+  }
+}
+
+/**
+ * Reads the team server settings. They stay on this device, in local storage, because they hold a token.
+ * @returns {Promise<Object>} The settings ({ endpoint, token })
+ */
+function getTeamServer() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get([TEAM_SERVER_KEY], (result) => {
+      resolve({ endpoint: "", token: "", ...result[TEAM_SERVER_KEY] });
+    });
+  });
+}
+
+/**
+ * Saves the team server settings.
+ * @param {Object} settings - The settings ({ endpoint, token })
+ * @returns {Promise<void>} Rejects when the endpoint isn't an http(s) URL
+ */
+async function saveTeamServer(settings) {
+  if (settings.endpoint) {
+    let url;
+    try {
+      url = new URL(settings.endpoint);
+    } catch (error) {
+      throw new TeamServerError(`"${settings.endpoint}" is not a valid URL`);
+    }
+    if (url.protocol !== "http:" && url.protocol !== "https:") {
+      throw new TeamServerError("The endpoint must be an http or https URL");
+    }
+  }
+  await chrome.storage.local.set({ [TEAM_SERVER_KEY]: settings });
+}
+
+/**
+ * Reads what was published from this device.
+ * @returns {Promise<Object>} Map of template id to { etag, fingerprint, publishedAt, result }
+ */
+function getPublications() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get([TEAM_PUBLICATIONS_KEY], (result) => {
+      resolve(result[TEAM_PUBLICATIONS_KEY] || {});
+    });
+  });
+}
+
+/**
+ * Remembers the server version a template was published as.
+ * @param {Object} template - The local template
+ * @param {string|null} etag - The server's ETag for the published version
+ * @param {string} result - One of PUBLISH_RESULTS
+ * @returns {Promise<void>}
+ */
+async function recordPublication(template, etag, result) {
+  const publications = await getPublications();
+  publications[template.id] = { etag, fingerprint: fingerprintTemplate(template), publishedAt: Date.now(), result };
+  await chrome.storage.local.set({ [TEAM_PUBLICATIONS_KEY]: publications });
+}
+
+/**
+ * Prepares a template for the server, without fields that only mean something in this browser.
+ * @param {Object} template - The local template
+ * @returns {Object} The template to send
+ */
+function toPublishedTemplate(template) {
+  const published = { ...template };
+  UNPUBLISHED_FIELDS.forEach(field => delete published[field]);
+  return published;
+}
+
+/**
+ * Sends a request to the team server.
+ * @param {Object} server - The settings ({ endpoint, token })
+ * @param {string} method - The HTTP method
+ * @param {string} path - The path below the endpoint, e.g. "/templates"
+ * @param {Object} [body] - The JSON body
+ * @param {Object} [headers] - Extra headers
+ * @returns {Promise<{status: number, etag: string|null, data: Object}>} The response
+ */
+async function teamRequest(server, method, path, body, headers = {}) {
+  const url = `${server.endpoint.replace(/\/+$/, "")}${path}`;
+  let response;
+  try {
+    response = await fetch(url, {
+      method,
+      cache: "no-store",
+      headers: {
+        ...(server.token ? { Authorization: `Bearer ${server.token}` } : {}),
+        ...(body ? { "Content-Type": "application/json" } : {}),
+        ...headers
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+  } catch (error) {
+    throw new TeamServerError(`The team server can't be reached: ${error.message}`);
+  }
+
+  const data = await response.json().catch(() => ({}));
+  if (response.status === 401 || response.status === 403) {
+    throw new TeamServerError("The team server refused the token", response.status);
+  }
+  if (response.status === 400) {
+    throw new TeamServerError(`The team server rejected the template: ${data.error || "invalid template"}`, response.status);
+  }
+  return { status: response.status, etag: response.headers.get("ETag"), data };
+}
+
+/**
+ * Fetches the server's current version of a template.
+ * @param {Object} server - The settings ({ endpoint, token })
+ * @param {string} id - The template id
+ * @returns {Promise<Object|null>} The version ({ template, etag }), or null if the server doesn't have it
+ */
+async function fetchTeamTemplate(server, id) {
+  const { status, etag, data } = await teamRequest(server, "GET", `/templates/${encodeURIComponent(id)}`);
+  if (status === 404) return null;
+  if (status !== 200) {
+    throw new TeamServerError(`The team server answered HTTP ${status}`, status);
+  }
+  return { template: data.template, etag };
+}
+
+/**
+ * Publishes a custom template, or proposes a change to a default template, to the team server.
+ * Replacing a version on the server only succeeds if it is the version this change was based on:
+ * the one last published from here, or the default the override was made from.
+ * @param {Object} template - The custom template or override
+ * @param {Object} [options]
+ * @param {string} [options.overwrite] - ETag of a newer server version to replace anyway, after a conflict
+ * @returns {Promise<string>} One of PUBLISH_RESULTS
+ * @throws {TeamServerError} With the server's version in `current` when the server has a newer version
+ */
+async function publishTemplate(template, { overwrite } = {}) {
+  const server = await getTeamServer();
+  if (!server.endpoint) {
+    throw new TeamServerError("Set up the team server first");
+  }
+
+  const id = encodeURIComponent(template.id);
+  const published = toPublishedTemplate(template);
+  const known = (await getPublications())[template.id];
+  let etag = overwrite || (known && known.etag);
+
+  if (!etag && isOverride(template)) {
+    // A default template: the server's version must still be the one the override was made from
+    const current = await fetchTeamTemplate(server, template.id);
+    if (!current) {
+      throw new TeamServerError("This default template doesn't come from the team server", 404);
+    }
+    if (fingerprintTemplate(current.template) !== template.overrides) {
+      throw new TeamServerError("The team server has a newer version of this template", 412, current);
+    }
+    etag = current.etag;
+  }
+
+  const response = etag
+    ? await teamRequest(server, "PUT", `/templates/${id}`, { template: published }, { "If-Match": etag })
+    : await teamRequest(server, "POST", "/templates", { template: published });
+
+  if (response.status === 409 || response.status === 412) {
+    const message = response.status === 409
+      ? "The team server already has a template with this id"
+      : "The team server has a newer version of this template";
+    throw new TeamServerError(message, response.status, { template: response.data.template, etag: response.etag });
+  }
+  if (response.status === 404) {
+    throw new TeamServerError("The template was removed from the team server", 404);
+  }
+  if (response.status !== 200 && response.status !== 201 && response.status !== 202) {
+    throw new TeamServerError(`The team server answered HTTP ${response.status}`, response.status);
+  }
+
+  // 202: the server keeps the change for review instead of applying it
+  const result = response.status === 202 ? PUBLISH_RESULTS.PROPOSED : PUBLISH_RESULTS.PUBLISHED;
+  await recordPublication(template, result === PUBLISH_RESULTS.PUBLISHED ? response.etag : etag, result);
+  return result;
+}
+
+/**
+ * Describes the publication status of a template.
+ * @param {Object} template - The local template
+ * @param {Object} [publication] - Its publication record
+ * @returns {string} The status text
+ */
+function describePublication(template, publication) {
+  if (!publication) {
+    return isOverride(template) ? "Local change to a default, not proposed" : "Not published";
+  }
+  const when = new Date(publication.publishedAt).toLocaleString();
+  const action = publication.result === PUBLISH_RESULTS.PROPOSED ? "Proposed" : "Published";
+  const changed = publication.fingerprint !== fingerprintTemplate(template) ? ", changed since" : "";
+  return `${action} ${when}${changed}`;
+}
@@ -0,0 +1,67 @@
+// overrides.js - local overrides of default templates, shared by the service worker, popup and options page.
+const OVERRIDE_IGNORED_FIELDS = ["id", "overrides", "updatedAt", "revision", "basedOn"];
+// Fields holding a template's text, compared line by line rather than listed as changed
+const OVERRIDE_BODY_FIELDS = ["content", "fill"];
+
+/**
+ * Computes a short fingerprint of a template's fields, to notice when a default template changes.
+ * @param {Object} template - The template
+ * @returns {string} 8-digit hex FNV-1a hash
+ */
+function fingerprintTemplate(template) {
+  const fields = Object.keys(template)
+    .filter(key => !OVERRIDE_IGNORED_FIELDS.includes(key))
+    .sort()
+    .map(key => [key, template[key]]);
+  const text = JSON.stringify(fields);
+
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, "0");
+}
+
+/**
+ * Checks whether a custom template is a local override of a default template.
+ * @param {Object} template - The custom template
+ * @returns {boolean} True if it overrides a default
+ */
+function isOverride(template) {
+  return typeof template.overrides === "string";
+}
+
+/**
+ * Creates a local override of a default template.
+ * @param {Object} upstream - The default template
+ * @param {Object} changes - The edited fields
+ * @returns {Object} The override, remembering which upstream version it was based on
+ */
+function createOverride(upstream, changes) {
+  return { ...changes, id: upstream.id, overrides: fingerprintTemplate(upstream) };
+}
+
+/**
+ * Checks whether the default template changed since it was overridden.
+ * @param {Object} override - The local override
+ * @param {Object} upstream - The current default template
+ * @returns {boolean} True if the default has changed
+ */
+function isUpstreamChanged(override, upstream) {
+  return Boolean(upstream) && override.overrides !== fingerprintTemplate(upstream);
+}
+
+/**
+ * Lists the fields other than the template text that differ between a default and its override.
+ * @param {Object} upstream - The default template
+ * @param {Object} override - The local override
+ * @returns {Array<string>} Names of changed fields
+ */
+function getChangedFields(upstream, override) {
+  const keys = new Set([...Object.keys(upstream), ...Object.keys(override)]);
+  return Array.from(keys).filter(key =>
+    !OVERRIDE_IGNORED_FIELDS.includes(key) && !OVERRIDE_BODY_FIELDS.includes(key) &&
+    JSON.stringify(upstream[key]) !== JSON.stringify(override[key])
+  );
+}
@@ -0,0 +1,152 @@
+// page-bridge.js - runs in the page's JavaScript world so it can reach editor instances
+// (CodeMirror, Monaco, Quill, Tiptap) that content scripts cannot see.
+// Requests come from editor-adapters.js as DOM events dispatched on the editor root, named after a
+// private channel the content script announces once per window with a connect event.
+(() => {
+  const CONNECT_EVENT = "template-inserter:connect";
+
+  if (window.__template_inserter_bridge_installed) return;
+  window.__template_inserter_bridge_installed = true;
+
+  /**
+   * Inserts text through a CodeMirror 6 EditorView.
+   * @param {HTMLElement} root - The .cm-editor element
+   * @param {Object} payload - The content ({ text, cursor })
+   * @returns {boolean} True if inserted
+   */
+  function insertCodeMirror6(root, { text, cursor }) {
+    const content = root.querySelector(".cm-content");
+    const tile = content && content.cmView;
+    const view = tile && (tile.view || (tile.rootView && tile.rootView.view));
+    if (!view || typeof view.dispatch !== "function") return false;
+
+    const { from, to } = view.state.selection.main;
+    view.dispatch({
+      changes: { from, to, insert: text },
+      selection: { anchor: from + cursor },
+      scrollIntoView: true,
+      userEvent: "input.paste"
+    });
+    view.focus();
+    return true;
+  }
+
+  /**
+   * Inserts text through a CodeMirror 5 instance.
+   * @param {HTMLElement} root - The .CodeMirror element
+   * @param {Object} payload - The content ({ text, cursor })
+   * @returns {boolean} True if inserted
+   */
+  function insertCodeMirror5(root, { text, cursor }) {
+    const cm = root.CodeMirror;
+    if (!cm || typeof cm.replaceSelection !== "function") return false;
+
+    const start = cm.indexFromPos(cm.getCursor("from"));
+    cm.replaceSelection(text);
+    cm.setCursor(cm.posFromIndex(start + cursor));
+    cm.focus();
+    return true;
+  }
+
+  /**
+   * Inserts text through the Monaco editor owning the root element.
+   * @param {HTMLElement} root - The .monaco-editor element
+   * @param {Object} payload - The content ({ text, cursor })
+   * @returns {boolean} True if inserted
+   */
+  function insertMonaco(root, { text, cursor }) {
+    const monaco = window.monaco;
+    if (!monaco || !monaco.editor || typeof monaco.editor.getEditors !== "function") return false;
+
+    const editor = monaco.editor.getEditors().find(e => {
+      const node = e.getDomNode();
+      return node && (node === root || node.contains(root) || root.contains(node));
+    });
+    if (!editor) return false;
+
+    const model = editor.getModel();
+    const selection = editor.getSelection();
+    const startOffset = model.getOffsetAt(selection.getStartPosition());
+
+    editor.pushUndoStop();
+    editor.executeEdits("template-inserter", [{ range: selection, text, forceMoveMarkers: true }]);
+    editor.pushUndoStop();
+    editor.setPosition(model.getPositionAt(startOffset + cursor));
+    editor.focus();
+    return true;
+  }
+
+  /**
+   * Inserts text or HTML through a Quill instance.
+   * @param {HTMLElement} root - The .ql-container element
+   * @param {Object} payload - The content ({ text, cursor, html, rich })
+   * @returns {boolean} True if inserted
+   */
+  function insertQuill(root, { text, cursor, html, rich }) {
+    const quill = root.__quill || (window.Quill && typeof window.Quill.find === "function" && window.Quill.find(root));
+    if (!quill || typeof quill.getSelection !== "function") return false;
+
+    const range = quill.getSelection(true);
+    if (range.length) {
+      quill.deleteText(range.index, range.length, "user");
+    }
+
+    if (rich && html) {
+      const lengthBefore = quill.getLength();
+      quill.clipboard.dangerouslyPasteHTML(range.index, html, "user");
+      quill.setSelection(range.index + quill.getLength() - lengthBefore, 0, "user");
+    } else {
+      quill.insertText(range.index, text, "user");
+      quill.setSelection(range.index + cursor, 0, "user");
+    }
+    return true;
+  }
+
+  /**
+   * Inserts HTML through a Tiptap editor attached to a ProseMirror root.
+   * Plain ProseMirror views are handled by the content script with a synthetic paste.
+   * @param {HTMLElement} root - The .ProseMirror element
+   * @param {Object} payload - The content ({ html })
+   * @returns {boolean} True if inserted
+   */
+  function insertTiptap(root, { html }) {
+    const editor = root.editor;
+    if (!editor || !editor.commands || typeof editor.commands.insertContent !== "function") return false;
+    return editor.chain().focus().insertContent(html).run();
+  }
+
+  const HANDLERS = {
+    codemirror6: insertCodeMirror6,
+    codemirror5: insertCodeMirror5,
+    monaco: insertMonaco,
+    quill: insertQuill,
+    prosemirror: insertTiptap
+  };
+
+  /**
+   * Handles an insertion request and answers on the same channel.
+   * @param {string} channel - The channel's event name prefix
+   * @param {CustomEvent} event - The request
+   */
+  function handleRequest(channel, event) {
+    let id = null;
+    let handled = false;
+    try {
+      const payload = JSON.parse(event.detail);
+      id = payload.id;
+      const handler = HANDLERS[payload.editor];
+      // composedPath()[0] is the editor root even when it lives inside a shadow root
+      handled = Boolean(handler && handler(event.composedPath()[0], payload));
+    } catch (error) {
+      console.warn("Template Inserter: editor insertion failed", error);
+    }
+    window.dispatchEvent(new CustomEvent(`${channel}:result`, { detail: JSON.stringify({ id, handled }) }));
+  }
+
+  window.addEventListener(CONNECT_EVENT, (event) => {
+    const channel = event.detail;
+    if (typeof channel !== "string" || !channel.startsWith("template-inserter:")) return;
+    event.stopImmediatePropagation();
+    window.addEventListener(`${channel}:insert`, request => handleRequest(channel, request), true);
+  }, true);
+})();
@@ -0,0 +1,221 @@
+// palette.js - keyboard quick-insert palette. Runs after content.js, which provides insertion and focus helpers.
+var PALETTE_MAX_RESULTS = 50;
+var PALETTE_PREVIEW_LENGTH = 600;
+var PALETTE_FIELD_WEIGHTS = { name: 3, abbreviation: 3, category: 2, content: 1 };
+
+/**
+ * Scores how well a query matches text as a fuzzy subsequence.
+ * Consecutive characters and matches at word starts score higher.
+ * @param {string} query - The lower-case search term
+ * @param {string} text - The text to search
+ * @returns {number} The score, or 0 if the query is not a subsequence of the text
+ */
+function fuzzyScore(query, text) {
+  const haystack = text.toLowerCase();
+  let score = 0;
+  let streak = 0;
+  let position = -1;
+
+  for (const char of query) {
+    const found = haystack.indexOf(char, position + 1);
+    if (found === -1) return 0;
+
+    streak = found === position + 1 ? streak + 1 : 0;
+    const wordStart = found === 0 || /[\s/_\-.;]/.test(haystack[found - 1]);
+    score += 1 + streak * 2 + (wordStart ? 3 : 0);
+    position = found;
+  }
+
+  return score;
+}
+
+/**
+ * Scores a template against a search query. Every term must match one of the template's fields.
+ * @param {Object} template - The template
+ * @param {Array<string>} terms - Lower-case search terms
+ * @returns {number} The score, or 0 if the template doesn't match
+ */
+function scoreTemplate(template, terms) {
+  let total = 0;
+
+  for (const term of terms) {
+    let best = 0;
+    Object.entries(PALETTE_FIELD_WEIGHTS).forEach(([field, weight]) => {
+      if (typeof template[field] === "string") {
+        best = Math.max(best, fuzzyScore(term, template[field]) * weight);
+      }
+    });
+    if (!best) return 0;
+    total += best;
+  }
+
+  return total;
+}
+
+/**
+ * Finds the templates matching a query, best match first.
+ * @param {Array} templates - The templates to search
+ * @param {string} query - The search text
+ * @returns {Array} Matching templates
+ */
+function searchTemplates(templates, query) {
+  const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+  if (!terms.length) return templates.slice(0, PALETTE_MAX_RESULTS);
+
+  return templates
+    .map((template, index) => ({ template, index, score: scoreTemplate(template, terms) }))
+    .filter(result => result.score > 0)
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .slice(0, PALETTE_MAX_RESULTS)
+    .map(result => result.template);
+}
+
+/**
+ * Opens the quick-insert palette over the focused field.
+ * Only the frame that owns the focused field opens it; other frames ignore the request.
+ * @returns {Promise<void>}
+ */
+async function openPalette() {
+  if (window.__template_palette) {
+    window.__template_palette.focus();
+    return;
+  }
+
+  const element = getDeepActiveElement();
+  if (!document.hasFocus() || !element || element.ownerDocument !== document) return;
+  if (!isEditableField(element)) return;
+  const blocker = getInsertBlocker(element);
+  if (blocker) {
+    showNotice(blocker);
+    return;
+  }
+
+  const restoreFocus = saveFocus(element);
+  const templates = (await requestTemplates()).filter(t => t.name && t.content);
+
+  const host = document.createElement("div");
+  host.style.cssText = "position:fixed;z-index:2147483647;top:0;left:0;";
+  const root = host.attachShadow({ mode: "closed" });
+
+  const style = document.createElement("style");
+  style.textContent = `
+    .palette { position: fixed; width: 420px; max-width: calc(100vw - 16px); background: #fff; color: #111;
+      font: 13px Arial, sans-serif; border-radius: 8px; box-shadow: 0 6px 24px rgba(16,24,40,0.25); overflow: hidden; }
+    input { display: block; width: 100%; box-sizing: border-box; padding: 10px 12px; border: none;
+      border-bottom: 1px solid #e5e7eb; font: inherit; outline: none; }
+    ul { list-style: none; margin: 0; padding: 4px 0; max-height: 220px; overflow-y: auto; }
+    li { padding: 6px 12px; cursor: pointer; display: flex; justify-content: space-between; gap: 8px; }
+    li[aria-selected="true"] { background: #e8f5e9; }
+    .meta { color: #6b7280; font-size: 11px; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+    .empty { padding: 8px 12px; color: #6b7280; }
+    pre { margin: 0; padding: 8px 12px; max-height: 140px; overflow: auto; border-top: 1px solid #e5e7eb;
+      background: #f9fafb; font: 12px monospace; white-space: pre-wrap; }
+  `;
+
+  const panel = document.createElement("div");
+  panel.className = "palette";
+  const search = document.createElement("input");
+  search.placeholder = "Search templates…";
+  search.setAttribute("aria-label", "Search templates");
+  const list = document.createElement("ul");
+  list.setAttribute("role", "listbox");
+  const preview = document.createElement("pre");
+  panel.append(search, list, preview);
+
+  const rect = element.getBoundingClientRect();
+  const view = element.ownerDocument.defaultView;
+  panel.style.top = `${Math.max(8, Math.min(rect.bottom + 4, view.innerHeight - 420))}px`;
+  panel.style.left = `${Math.max(8, Math.min(rect.left, view.innerWidth - 428))}px`;
+
+  let results = [];
+  let selected = 0;
+  let closed = false;
+
+  const close = (restore) => {
+    if (closed) return;
+    closed = true;
+    window.__template_palette = null;
+    host.remove();
+    if (restore) restoreFocus();
+  };
+
+  const insert = (template) => {
+    close(true);
+    if (template.error) {
+      showNotice(template.error);
+      return;
+    }
+    insertTemplate(template.content, template.format, { templateId: template.id, multiline: template.multiline }).catch((e) => {
+      console.error('Error inserting template', e);
+    });
+  };
+
+  const select = (index) => {
+    selected = index;
+    Array.from(list.children).forEach((item, i) => {
+      item.setAttribute("aria-selected", String(i === index));
+    });
+    const template = results[index];
+    preview.hidden = !template;
+    if (template) {
+      preview.textContent = formatToPlainText(template.content, template.format).slice(0, PALETTE_PREVIEW_LENGTH);
+      if (list.children[index]) list.children[index].scrollIntoView({ block: "nearest" });
+    }
+  };
+
+  const render = () => {
+    results = searchTemplates(templates, search.value);
+    list.innerHTML = "";
+
+    if (!results.length) {
+      const empty = document.createElement("li");
+      empty.className = "empty";
+      empty.textContent = templates.length ? "No matching templates" : "No templates for this page";
+      list.appendChild(empty);
+    }
+
+    results.forEach((template, index) => {
+      const item = document.createElement("li");
+      item.setAttribute("role", "option");
+      const name = document.createElement("span");
+      name.textContent = template.name;
+      const meta = document.createElement("span");
+      meta.className = "meta";
+      meta.textContent = [template.abbreviation, template.category].filter(Boolean).join(" · ");
+      item.append(name, meta);
+      // Keep focus in the search box while clicking
+      item.onmousedown = (event) => event.preventDefault();
+      item.onmousemove = () => { if (selected !== index) select(index); };
+      item.onclick = () => insert(template);
+      list.appendChild(item);
+    });
+
+    select(0);
+  };
+
+  search.oninput = render;
+  panel.onkeydown = (event) => {
+    event.stopPropagation();
+    if (event.key === "Escape") {
+      event.preventDefault();
+      close(true);
+    } else if (event.key === "ArrowDown" && results.length) {
+      event.preventDefault();
+      select((selected + 1) % results.length);
+    } else if (event.key === "ArrowUp" && results.length) {
+      event.preventDefault();
+      select((selected - 1 + results.length) % results.length);
+    } else if (event.key === "Enter" && results[selected]) {
+      event.preventDefault();
+      insert(results[selected]);
+    }
+  };
+  // Close when focus moves elsewhere on the page, leaving it where the user put it
+  search.onblur = () => close(false);
+
+  root.append(style, panel);
+  document.documentElement.appendChild(host);
+  window.__template_palette = search;
+  render();
+  search.focus();
+}
@@ -0,0 +1,53 @@
+// pins.js - templates pinned to numbered keyboard shortcut slots, shared by the service worker and popup.
+// Pins sync across devices; the keys bound to each slot are per-device Chrome settings.
+const PINS_KEY = "pinned_templates";
+const PIN_SLOT_COUNT = 4;
+const PIN_COMMAND_PREFIX = "insert-pinned-";
+
+/**
+ * Retrieves the pinned templates.
+ * @returns {Promise<Array<string|null>>} Template id pinned to each slot, slot 1 first; null for empty slots
+ */
+function getPinnedTemplates() {
+  return new Promise((resolve) => {
+    chrome.storage.sync.get([PINS_KEY], (result) => {
+      const stored = Array.isArray(result[PINS_KEY]) ? result[PINS_KEY] : [];
+      resolve(Array.from({ length: PIN_SLOT_COUNT }, (_, i) => stored[i] || null));
+    });
+  });
+}
+
+/**
+ * Pins a template to a slot, replacing whatever was pinned there. A template is pinned to one slot at most.
+ * @param {string} templateId - The template id
+ * @param {number|null} slot - The slot number (1 to PIN_SLOT_COUNT), or null to unpin the template
+ * @returns {Promise<Array<string|null>>} The updated pins
+ */
+async function pinTemplate(templateId, slot) {
+  const pins = (await getPinnedTemplates()).map(id => (id === templateId ? null : id));
+  if (slot) {
+    pins[slot - 1] = templateId;
+  }
+  await chrome.storage.sync.set({ [PINS_KEY]: pins });
+  return pins;
+}
+
+/**
+ * Gets the chrome.commands name of a slot.
+ * @param {number} slot - The slot number
+ * @returns {string} The command name from the manifest
+ */
+function getPinCommand(slot) {
+  return `${PIN_COMMAND_PREFIX}${slot}`;
+}
+
+/**
+ * Gets the slot a chrome.commands command inserts.
+ * @param {string} command - The command name
+ * @returns {number|null} The slot number, or null if the command isn't a pinned slot
+ */
+function getCommandSlot(command) {
+  if (!command.startsWith(PIN_COMMAND_PREFIX)) return null;
+  const slot = Number(command.slice(PIN_COMMAND_PREFIX.length));
+  return Number.isInteger(slot) && slot >= 1 && slot <= PIN_SLOT_COUNT ? slot : null;
+}
@@ -1,93 +1,156 @@
 // DOM elements and constants
-const STORAGE_KEY = "templates";
 const ALERT_DURATION = 3000;
-const ACTION_RELOAD = "reloadMenus";
+const ACTION_GET_HISTORY = "getInsertionHistory";
+const ACTION_REPLAY_INSERTION = "replayInsertion";
+const CATEGORY_SEPARATOR = "/";
+const COLLAPSED_CATEGORIES_KEY = "collapsed_categories";
+const DEFAULT_FORMAT = "text";
+const DEFAULT_MULTILINE = "flatten";
+const TYPE_TEXT = "text";
+const TYPE_FILL = "fill";
+const CONTENT_PLACEHOLDERS = {
+  [TYPE_TEXT]: "Template text",
+  [TYPE_FILL]: 'Fields as JSON, e.g. [{ "label": "Title", "value": "{{summary}}" }, { "name": "severity", "value": "High" }]'
+};
+const SHORTCUTS_PAGE_URL = "chrome://extensions/shortcuts";
+const SITE_FILTER_KEY = "site_filter_enabled";
+const URL_PATTERN_SEPARATOR = /[\s,]+/;
 
 const elements = {
   list: document.getElementById("list"),
   idInput: document.getElementById("id"),
   nameInput: document.getElementById("name"),
+  abbreviationInput: document.getElementById("abbreviation"),
+  categoryInput: document.getElementById("category"),
+  typeInput: document.getElementById("type"),
+  formatInput: document.getElementById("format"),
+  multilineInput: document.getElementById("multiline"),
+  includeInput: document.getElementById("include"),
+  excludeInput: document.getElementById("exclude"),
   contentInput: document.getElementById("content"),
   saveBtn: document.getElementById("save"),
   newBtn: document.getElementById("new"),
   optionsBtn: document.getElementById("options"),
+  siteFilter: document.getElementById("site-filter"),
+  historySection: document.getElementById("history-section"),
+  historyList: document.getElementById("history"),
+  conflictsSection: document.getElementById("conflicts-section"),
+  conflictsList: document.getElementById("conflicts"),
+  trashSection: document.getElementById("trash-section"),
+  trashList: document.getElementById("trash"),
+  emptyTrashBtn: document.getElementById("empty-trash"),
   alertBox: document.querySelector(".alert")
 };
 
 let editingIndex = null;
+// The stored version of the template being edited, to notice changes made meanwhile; undefined for new and default templates
+let editingBase;
 let defaultTemplateIds = [];
-
-/**
- * Loads default templates from HTTP server.
- * @returns {Promise<Array>} Array of default template objects
- */
-async function loadDefaultTemplates() {
-  return new Promise((resolve) => {
-    chrome.storage.sync.get(['template_json_url'], async (result) => {
-      const url = result.template_json_url || '';
-      if (!url) {
-        resolve([]); // don't fetch when URL is empty
-        return;
-      }
-
-      try {
-        const response = await fetch(url);
-        const templates = await response.json();
-        resolve(templates);
-      } catch (error) {
-        console.error('Failed to load default templates:', error);
-        resolve([]);
-      }
-    });
-  });
-}
+let defaultTemplatesById = new Map();
+let allTemplates = [];
+let collapsedCategories = new Set();
+let activeTabUrl = "";
+let pinnedTemplates = [];
+let pinShortcuts = [];
+let revisionHistory = {};
 
 /**
  * Retrieves templates from storage.
  * @returns {Promise<Array>} Array of template objects
  */
 function getTemplates() {
-  return new Promise((resolve) => {
-    chrome.storage.sync.get([STORAGE_KEY], (result) => {
-      resolve(result[STORAGE_KEY] || []);
-    });
-  });
+  return readCustomTemplates();
 }
 
 /**
- * Saves templates to storage and reloads the context menu.
+ * Saves templates to storage. The service worker updates the context menu from the storage change.
  * @param {Array} templates - Array of template objects to save
- * @returns {Promise<void>}
+ * @returns {Promise<void>} Rejects with a TemplateStorageError when the save fails
  */
 function saveTemplates(templates) {
-  return new Promise((resolve) => {
-    chrome.storage.sync.set({ [STORAGE_KEY]: templates }, () => {
-      chrome.runtime.sendMessage({ action: ACTION_RELOAD });
-      resolve();
-    });
-  });
+  return writeCustomTemplates(templates);
 }
 
 /**
  * Gets the current form values.
- * @returns {Object} Object with id, name, and content properties
+ * @returns {Object} Object with id, name, abbreviation, category, type, format, multiline, include, exclude, and content properties
  */
 function getFormValues() {
   return {
     id: elements.idInput.value,
     name: elements.nameInput.value,
+    abbreviation: elements.abbreviationInput.value.trim(),
+    category: parseCategoryPath(elements.categoryInput.value).join(CATEGORY_SEPARATOR),
+    type: elements.typeInput.value,
+    format: elements.formatInput.value,
+    multiline: elements.multilineInput.value,
+    include: parseUrlPatterns(elements.includeInput.value),
+    exclude: parseUrlPatterns(elements.excludeInput.value),
     content: elements.contentInput.value
   };
 }
 
+/**
+ * Splits a space- or comma-separated list of URL match patterns.
+ * @param {string} value - The input value
+ * @returns {Array<string>} The patterns
+ */
+function parseUrlPatterns(value) {
+  return value.split(URL_PATTERN_SEPARATOR).filter(Boolean);
+}
+
+/**
+ * Parses the fields of a form-fill template typed into the content box.
+ * @param {string} text - JSON array of fields
+ * @returns {{fill?: Array, error?: string}} The fields, or what is wrong with them
+ */
+function parseFillFields(text) {
+  let fill;
+  try {
+    fill = JSON.parse(text);
+  } catch (error) {
+    return { error: `Form fields must be valid JSON: ${error.message}` };
+  }
+  if (!Array.isArray(fill)) {
+    return { error: "Form fields must be a JSON array" };
+  }
+  const problem = checkFillFields(fill);
+  return problem ? { error: `Form fields ${problem}` } : { fill };
+}
+
+/**
+ * Shows the content box hint for the selected template type.
+ */
+function updateContentPlaceholder() {
+  elements.contentInput.placeholder = CONTENT_PLACEHOLDERS[elements.typeInput.value];
+}
+
+/**
+ * Gets the text shown for a template in the editor and diffs: its content, or its form fields as JSON.
+ * @param {Object} template - The template
+ * @returns {string} The text
+ */
+function getTemplateText(template) {
+  return isFormFillTemplate(template) ? JSON.stringify(template.fill, null, 2) : template.content;
+}
+
 /**
  * Clears all form inputs.
  */
 function clearForm() {
   elements.idInput.value = "";
   elements.nameInput.value = "";
+  elements.abbreviationInput.value = "";
+  elements.categoryInput.value = "";
+  elements.typeInput.value = TYPE_TEXT;
+  elements.formatInput.value = DEFAULT_FORMAT;
+  elements.multilineInput.value = DEFAULT_MULTILINE;
+  elements.includeInput.value = "";
+  elements.excludeInput.value = "";
   elements.contentInput.value = "";
+  updateContentPlaceholder();
   editingIndex = null;
+  editingBase = undefined;
 }
 
 /**
@@ -98,8 +161,17 @@ function clearForm() {
 function loadTemplateForEditing(template, index) {
   elements.idInput.value = template.id;
   elements.nameInput.value = template.name;
-  elements.contentInput.value = template.content;
+  elements.abbreviationInput.value = template.abbreviation || "";
+  elements.categoryInput.value = template.category || "";
+  elements.typeInput.value = isFormFillTemplate(template) ? TYPE_FILL : TYPE_TEXT;
+  elements.formatInput.value = template.format || DEFAULT_FORMAT;
+  elements.multilineInput.value = template.multiline || DEFAULT_MULTILINE;
+  elements.includeInput.value = (template.include || []).join(" ");
+  elements.excludeInput.value = (template.exclude || []).join(" ");
+  elements.contentInput.value = getTemplateText(template);
+  updateContentPlaceholder();
   editingIndex = index;
+  editingBase = defaultTemplatesById.get(template.id) === template ? undefined : template;
 }
 
 /**
@@ -112,22 +184,39 @@ function createEditButton(template) {
   btn.className = "edit-btn";
   btn.textContent = "Edit";
 
-  if (defaultTemplateIds.includes(template.id)) {
-    btn.disabled = true;
-    btn.style.opacity = "0.5";
-    btn.style.cursor = "not-allowed";
-    btn.title = "Default templates cannot be edited";
-  } else {
-    btn.onclick = () => {
-      const index = Array.from(elements.list.children).findIndex(
-        li => li.querySelector(".template-name").textContent.trim() === template.name
-      );
-      loadTemplateForEditing(template, index);
-    };
+  if (defaultTemplateIds.includes(template.id) && !isOverride(template)) {
+    btn.title = "Saving creates your own version; the default stays available with Reset";
   }
+  btn.onclick = () => {
+    const index = allTemplates.findIndex(tpl => tpl.id === template.id);
+    loadTemplateForEditing(template, index);
+  };
   return btn;
 }
 
+/**
+ * Moves a custom template, or the local override of a default template, to the trash.
+ * @param {string} id - The template id
+ * @returns {Promise<void>}
+ */
+async function removeCustomTemplate(id) {
+  try {
+    const templates = await getTemplates();
+    if (templates.some(t => t.id === id)) {
+      // Saving without it moves it to the trash
+      await saveTemplates(templates.filter(t => t.id !== id));
+      // A removed custom template can't be inserted any more; a reset override still can
+      if (!defaultTemplateIds.includes(id) && pinnedTemplates.includes(id)) {
+        await pinTemplate(id, null);
+      }
+      showAlert(defaultTemplateIds.includes(id) ? "Reset to the default. Your version is in the trash." : "Moved to the trash");
+      refresh();
+    }
+  } catch (error) {
+    showAlert(error.message, true);
+  }
+}
+
 /**
  * Creates a remove button for a template.
  * @param {Object} template - The template object
@@ -138,25 +227,247 @@ function createRemoveButton(template) {
   btn.className = "remove-btn";
   btn.textContent = "Remove";
 
-  if (defaultTemplateIds.includes(template.id)) {
+  if (defaultTemplateIds.includes(template.id) && isOverride(template)) {
+    btn.textContent = "Reset";
+    btn.title = "Use the default template again; your version goes to the trash";
+    btn.onclick = () => removeCustomTemplate(template.id);
+  } else if (defaultTemplateIds.includes(template.id)) {
     btn.disabled = true;
     btn.style.opacity = "0.5";
     btn.style.cursor = "not-allowed";
     btn.title = "Default templates cannot be removed";
   } else {
-    btn.onclick = async () => {
-      const templates = await getTemplates();
-      const index = templates.findIndex(t => t.id === template.id);
-      if (index !== -1) {
-        templates.splice(index, 1);
-        await saveTemplates(templates);
-        refresh();
-      }
-    };
+    btn.title = "Move to the trash, from where it can be restored";
+    btn.onclick = () => removeCustomTemplate(template.id);
   }
   return btn;
 }
 
+/**
+ * Accepts the current default template as the base of an override, dismissing the upstream change warning.
+ * @param {Object} template - The local override
+ * @returns {Promise<void>}
+ */
+async function keepOverride(template) {
+  try {
+    const templates = await getTemplates();
+    const index = templates.findIndex(t => t.id === template.id);
+    if (index !== -1) {
+      templates[index] = createOverride(defaultTemplatesById.get(template.id), templates[index]);
+      await saveTemplates(templates);
+      refresh();
+    }
+  } catch (error) {
+    showAlert(error.message, true);
+  }
+}
+
+/**
+ * Creates the panel comparing an override with its default template.
+ * @param {Object} template - The local override
+ * @param {Object} upstream - The current default template
+ * @returns {HTMLElement} The panel element
+ */
+function createDiffPanel(template, upstream) {
+  const panel = document.createElement("div");
+  panel.className = "template-diff";
+  panel.hidden = true;
+
+  if (isUpstreamChanged(template, upstream)) {
+    const warning = document.createElement("p");
+    warning.className = "template-diff-warning";
+    warning.textContent = "The default template changed after you modified it. Reset to get the new version, or keep yours.";
+
+    const keepBtn = document.createElement("button");
+    keepBtn.textContent = "Keep mine";
+    keepBtn.onclick = () => keepOverride(template);
+    warning.appendChild(keepBtn);
+    panel.appendChild(warning);
+  }
+
+  const changedFields = getChangedFields(upstream, template);
+  if (changedFields.length) {
+    const fields = document.createElement("p");
+    fields.textContent = `Also changed: ${changedFields.join(", ")}`;
+    panel.appendChild(fields);
+  }
+
+  const lines = document.createElement("pre");
+  renderDiff(diffLines(getTemplateText(upstream), getTemplateText(template)), lines);
+  panel.appendChild(lines);
+
+  return panel;
+}
+
+/**
+ * Restores an earlier version of a template.
+ * @param {string} id - The template id
+ * @param {number} index - Index of the revision, newest first
+ * @returns {Promise<void>}
+ */
+async function restoreTemplateRevision(id, index) {
+  try {
+    await restoreRevision(id, index);
+  } catch (error) {
+    showAlert(error.message, true);
+    return;
+  }
+  showAlert("Version restored");
+  refresh();
+}
+
+/**
+ * Creates a select listing the versions of a template, for the revision diff.
+ * @param {Array<Object>} versions - The versions ({ label })
+ * @param {number} selected - Index of the selected version
+ * @returns {HTMLSelectElement} The select element
+ */
+function createVersionSelect(versions, selected) {
+  const select = document.createElement("select");
+  versions.forEach((version, index) => {
+    select.appendChild(new Option(version.label, String(index), false, index === selected));
+  });
+  return select;
+}
+
+/**
+ * Creates the panel listing the earlier versions of a template, with a diff between any two and restore buttons.
+ * @param {Object} template - The current template
+ * @param {Array<Object>} revisions - Its earlier versions ({ template, replacedAt }), newest first
+ * @returns {HTMLElement} The panel element
+ */
+function createRevisionsPanel(template, revisions) {
+  const panel = document.createElement("div");
+  panel.className = "template-diff template-revisions";
+  panel.hidden = true;
+
+  const versions = [
+    { label: "Current", template },
+    ...revisions.map(revision => ({
+      label: new Date(getRevisionTime(revision)).toLocaleString(),
+      template: revision.template
+    }))
+  ];
+
+  const compare = document.createElement("p");
+  const fromSelect = createVersionSelect(versions, 1);
+  const toSelect = createVersionSelect(versions, 0);
+  compare.append("Compare", fromSelect, "with", toSelect);
+
+  const lines = document.createElement("pre");
+  const renderVersionDiff = () => {
+    const before = versions[Number(fromSelect.value)].template;
+    const after = versions[Number(toSelect.value)].template;
+    renderDiff(diffLines(getTemplateText(before), getTemplateText(after)), lines);
+  };
+  fromSelect.onchange = renderVersionDiff;
+  toSelect.onchange = renderVersionDiff;
+  renderVersionDiff();
+
+  const list = document.createElement("ul");
+  revisions.forEach((revision, index) => {
+    const li = document.createElement("li");
+    li.className = "template-item";
+
+    const label = document.createElement("span");
+    label.className = "template-name";
+    label.textContent = `${revision.template.name} `;
+    const time = document.createElement("span");
+    time.className = "template-time";
+    time.textContent = versions[index + 1].label;
+    label.appendChild(time);
+
+    const restoreBtn = document.createElement("button");
+    restoreBtn.textContent = "Restore";
+    restoreBtn.title = "Make this version the current one; the current version stays in the history";
+    restoreBtn.onclick = () => restoreTemplateRevision(template.id, index);
+
+    li.appendChild(label);
+    li.appendChild(restoreBtn);
+    list.appendChild(li);
+  });
+
+  panel.appendChild(compare);
+  panel.appendChild(lines);
+  panel.appendChild(list);
+  return panel;
+}
+
+/**
+ * Creates a small badge shown next to a template name.
+ * @param {string} text - The badge text
+ * @param {string} [className] - Extra class for the badge
+ * @returns {HTMLElement} The badge element
+ */
+function createBadge(text, className = "") {
+  const badge = document.createElement("span");
+  badge.className = `template-badge ${className}`.trim();
+  badge.textContent = text;
+  return badge;
+}
+
+/**
+ * Loads the keys bound to the pinned template slots. Users can change them in Chrome's shortcut settings.
+ * @returns {Promise<Array<string>>} The shortcut of each slot, slot 1 first; empty when no key is set
+ */
+async function loadPinShortcuts() {
+  const commands = await chrome.commands.getAll();
+  return Array.from({ length: PIN_SLOT_COUNT }, (_, i) => {
+    const command = commands.find(c => c.name === getPinCommand(i + 1));
+    return (command && command.shortcut) || "";
+  });
+}
+
+/**
+ * Creates the badge showing the shortcut a template is pinned to.
+ * @param {number} slot - The slot number
+ * @returns {HTMLElement} The badge element
+ */
+function createShortcutBadge(slot) {
+  const shortcut = pinShortcuts[slot - 1];
+  if (shortcut) {
+    const badge = createBadge(shortcut);
+    badge.title = `Press ${shortcut} in a text field to insert this template`;
+    return badge;
+  }
+
+  const badge = createBadge(`shortcut ${slot}: no key`, "warning");
+  badge.title = "No key is set for this shortcut. Click to assign one in Chrome's shortcut settings.";
+  badge.style.cursor = "pointer";
+  badge.onclick = () => chrome.tabs.create({ url: SHORTCUTS_PAGE_URL });
+  return badge;
+}
+
+/**
+ * Creates a select for pinning a template to a keyboard shortcut slot.
+ * @param {Object} template - The template object
+ * @returns {HTMLElement} The select element
+ */
+function createPinSelect(template) {
+  const select = document.createElement("select");
+  select.className = "pin-select";
+  select.title = "Pin to a keyboard shortcut";
+  select.appendChild(new Option("Not pinned", ""));
+
+  for (let slot = 1; slot <= PIN_SLOT_COUNT; slot++) {
+    const key = pinShortcuts[slot - 1] || "no key";
+    const pinnedId = pinnedTemplates[slot - 1];
+    const replaces = pinnedId && pinnedId !== template.id ? " (in use)" : "";
+    select.appendChild(new Option(`Shortcut ${slot}: ${key}${replaces}`, String(slot)));
+  }
+  select.value = String(pinnedTemplates.indexOf(template.id) + 1 || "");
+
+  select.onchange = async () => {
+    try {
+      await pinTemplate(template.id, Number(select.value) || null);
+      refresh();
+    } catch (error) {
+      showAlert(error.message, true);
+    }
+  };
+  return select;
+}
+
 /**
  * Creates a template list item element.
  * @param {Object} template - The template object
@@ -166,31 +477,215 @@ function createTemplateItem(template) {
   const li = document.createElement("li");
   li.className = "template-item";
 
-  if (defaultTemplateIds.includes(template.id)) {
+  const upstream = defaultTemplatesById.get(template.id);
+  const overridden = Boolean(upstream) && isOverride(template);
+
+  if (upstream && !overridden) {
     li.style.opacity = "0.7";
   }
 
   const nameSpan = document.createElement("span");
   nameSpan.className = "template-name";
-  const defaultLabel = defaultTemplateIds.includes(template.id) ? " (default)" : "";
+  const defaultLabel = upstream && !overridden ? " (default)" : "";
   nameSpan.textContent = `${template.name}${defaultLabel} `;
 
+  if (isFormFillTemplate(template)) {
+    const badge = createBadge("form fill");
+    badge.title = `Fills ${template.fill.length} fields`;
+    nameSpan.appendChild(badge);
+  }
+
+  const includeError = findIncludeError(template, allTemplates);
+  if (includeError) {
+    const badge = createBadge("include error", "warning");
+    badge.title = includeError;
+    nameSpan.appendChild(badge);
+  }
+
+  if (overridden) {
+    nameSpan.appendChild(createBadge("modified"));
+    if (isUpstreamChanged(template, upstream)) {
+      nameSpan.appendChild(createBadge("default changed", "warning"));
+    }
+  }
+
+  const slot = pinnedTemplates.indexOf(template.id) + 1;
+  if (slot) {
+    nameSpan.appendChild(createShortcutBadge(slot));
+  }
+
+  if (template.abbreviation) {
+    const abbreviationSpan = document.createElement("span");
+    abbreviationSpan.className = "template-abbreviation";
+    abbreviationSpan.textContent = template.abbreviation;
+    nameSpan.appendChild(abbreviationSpan);
+  }
+
+  if (isSiteScoped(template)) {
+    const scope = [
+      ...(template.include || []).map(pattern => `Only on ${pattern}`),
+      ...(template.exclude || []).map(pattern => `Never on ${pattern}`)
+    ];
+    nameSpan.title = scope.join("\n");
+  }
+
   const actionsDiv = document.createElement("div");
   actionsDiv.className = "template-actions";
+  actionsDiv.appendChild(createPinSelect(template));
   actionsDiv.appendChild(createEditButton(template));
   actionsDiv.appendChild(createRemoveButton(template));
 
   li.appendChild(nameSpan);
   li.appendChild(actionsDiv);
 
+  if (overridden) {
+    const diffPanel = createDiffPanel(template, upstream);
+    const diffBtn = document.createElement("button");
+    diffBtn.className = "diff-btn";
+    diffBtn.textContent = "Diff";
+    diffBtn.title = "Compare with the default template";
+    diffBtn.onclick = () => {
+      diffPanel.hidden = !diffPanel.hidden;
+    };
+    actionsDiv.insertBefore(diffBtn, actionsDiv.firstChild);
+    li.appendChild(diffPanel);
+  }
+
+  const revisions = revisionHistory[template.id];
+  if (revisions && revisions.length && (!upstream || overridden)) {
+    const revisionsPanel = createRevisionsPanel(template, revisions);
+    const revisionsBtn = document.createElement("button");
+    revisionsBtn.className = "diff-btn";
+    revisionsBtn.textContent = "Versions";
+    revisionsBtn.title = `Compare and restore ${revisions.length} earlier version${revisions.length === 1 ? "" : "s"}`;
+    revisionsBtn.onclick = () => {
+      revisionsPanel.hidden = !revisionsPanel.hidden;
+    };
+    actionsDiv.insertBefore(revisionsBtn, actionsDiv.firstChild);
+    li.appendChild(revisionsPanel);
+  }
+
+  return li;
+}
+
+/**
+ * Splits a category path like "Support/Billing/Refunds" into its segments.
+ * @param {string} category - The category path
+ * @returns {Array<string>} Non-empty, trimmed path segments
+ */
+function parseCategoryPath(category) {
+  if (typeof category !== "string") return [];
+  return category.split(CATEGORY_SEPARATOR).map(s => s.trim()).filter(Boolean);
+}
+
+/**
+ * Groups templates into a category tree.
+ * @param {Array} templates - Array of template objects
+ * @returns {Object} Root node with `templates` and `children` (Map of name to node)
+ */
+function buildCategoryTree(templates) {
+  const root = { path: "", templates: [], children: new Map() };
+
+  templates.forEach(template => {
+    let node = root;
+    parseCategoryPath(template.category).forEach(segment => {
+      if (!node.children.has(segment)) {
+        const path = node.path ? `${node.path}${CATEGORY_SEPARATOR}${segment}` : segment;
+        node.children.set(segment, { path, templates: [], children: new Map() });
+      }
+      node = node.children.get(segment);
+    });
+    node.templates.push(template);
+  });
+
+  return root;
+}
+
+/**
+ * Counts the templates in a category node and all its subcategories.
+ * @param {Object} node - The category tree node
+ * @returns {number} The number of templates
+ */
+function countCategoryTemplates(node) {
+  let count = node.templates.length;
+  node.children.forEach(child => {
+    count += countCategoryTemplates(child);
+  });
+  return count;
+}
+
+/**
+ * Saves which categories are collapsed in the popup list.
+ */
+function saveCollapsedCategories() {
+  chrome.storage.local.set({ [COLLAPSED_CATEGORIES_KEY]: Array.from(collapsedCategories) });
+}
+
+/**
+ * Loads which categories are collapsed in the popup list.
+ * @returns {Promise<Set<string>>} Set of collapsed category paths
+ */
+function loadCollapsedCategories() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get([COLLAPSED_CATEGORIES_KEY], (result) => {
+      resolve(new Set(result[COLLAPSED_CATEGORIES_KEY] || []));
+    });
+  });
+}
+
+/**
+ * Creates a collapsible list item for a category and its contents.
+ * @param {string} name - The category name
+ * @param {Object} node - The category tree node
+ * @returns {HTMLElement} The list item element
+ */
+function createCategoryItem(name, node) {
+  const li = document.createElement("li");
+  li.className = "template-category";
+
+  const details = document.createElement("details");
+  details.open = !collapsedCategories.has(node.path);
+  details.ontoggle = () => {
+    if (details.open) {
+      collapsedCategories.delete(node.path);
+    } else {
+      collapsedCategories.add(node.path);
+    }
+    saveCollapsedCategories();
+  };
+
+  const summary = document.createElement("summary");
+  summary.textContent = `${name} (${countCategoryTemplates(node)})`;
+
+  const ul = document.createElement("ul");
+  renderCategoryNode(node, ul);
+
+  details.appendChild(summary);
+  details.appendChild(ul);
+  li.appendChild(details);
+
   return li;
 }
 
+/**
+ * Renders a category node into a list: subcategories first, then templates.
+ * @param {Object} node - The category tree node
+ * @param {HTMLElement} list - The list element to render into
+ */
+function renderCategoryNode(node, list) {
+  node.children.forEach((child, name) => {
+    list.appendChild(createCategoryItem(name, child));
+  });
+  node.templates.forEach(template => {
+    list.appendChild(createTemplateItem(template));
+  });
+}
+
 /**
  * Merges default templates with user templates (with deduplication).
  * @param {Array} userTemplates - User-created templates
  * @param {Array} defaultTemplates - Default templates
- * @returns {Array} Merged templates with defaults first, deduplicated
+ * @returns {Array} Merged templates with defaults first, deduplicated; local overrides replace their default
  */
 function mergeTemplates(userTemplates, defaultTemplates) {
   // Deduplicate default templates first (in case there are duplicates in JSON)
@@ -201,7 +696,10 @@ function mergeTemplates(userTemplates, defaultTemplates) {
     }
   });
 
-  const merged = Array.from(defaultMap.values());
+  // Local overrides take the place of the default they were made from
+  const merged = Array.from(defaultMap.values(), t =>
+    userTemplates.find(user => user.id === t.id && isOverride(user)) || t
+  );
   const seenIds = new Set(defaultMap.keys());
 
   // Add user templates that are not in defaults
@@ -215,22 +713,300 @@ function mergeTemplates(userTemplates, defaultTemplates) {
   return merged;
 }
 
+/**
+ * Describes a sync conflict for the user.
+ * @param {Object} conflict - The conflict ({ id, local, remote })
+ * @returns {string} The description
+ */
+function describeConflict(conflict) {
+  const live = [conflict.local, conflict.remote].find(t => !isDeletedTemplate(t));
+  const name = live ? live.name : conflict.id;
+  if (isDeletedTemplate(conflict.local)) {
+    return `You removed "${name}" here, but another device changed it.`;
+  }
+  if (isDeletedTemplate(conflict.remote)) {
+    return `Another device removed "${name}", but you changed it here.`;
+  }
+  return `"${name}" was changed here and on another device.`;
+}
+
+/**
+ * Keeps one version of a conflicting template.
+ * @param {string} id - The template id
+ * @param {boolean} keepLocal - True to keep this device's version
+ * @returns {Promise<void>}
+ */
+async function resolveConflict(id, keepLocal) {
+  try {
+    await resolveTemplateConflict(id, keepLocal);
+  } catch (error) {
+    showAlert(error.message, true);
+    return;
+  }
+  showAlert("Conflict resolved");
+}
+
+/**
+ * Creates a list item for a sync conflict, with buttons to keep either version.
+ * @param {Object} conflict - The conflict ({ id, local, remote })
+ * @returns {HTMLElement} The list item element
+ */
+function createConflictItem(conflict) {
+  const li = document.createElement("li");
+  li.className = "template-item";
+
+  const description = document.createElement("span");
+  description.className = "template-name";
+  description.textContent = describeConflict(conflict);
+
+  const actionsDiv = document.createElement("div");
+  actionsDiv.className = "template-actions";
+
+  const keepLocalBtn = document.createElement("button");
+  keepLocalBtn.textContent = "Keep mine";
+  keepLocalBtn.title = "Use the version from this device";
+  keepLocalBtn.onclick = () => resolveConflict(conflict.id, true);
+
+  const keepRemoteBtn = document.createElement("button");
+  keepRemoteBtn.textContent = "Keep theirs";
+  keepRemoteBtn.title = "Use the version from the other device";
+  keepRemoteBtn.onclick = () => resolveConflict(conflict.id, false);
+
+  li.appendChild(description);
+  li.appendChild(actionsDiv);
+
+  if (!isDeletedTemplate(conflict.local) && !isDeletedTemplate(conflict.remote)) {
+    const panel = document.createElement("div");
+    panel.className = "template-diff";
+    panel.hidden = true;
+    const lines = document.createElement("pre");
+    renderDiff(diffLines(getTemplateText(conflict.remote), getTemplateText(conflict.local)), lines);
+    panel.appendChild(lines);
+
+    const diffBtn = document.createElement("button");
+    diffBtn.className = "diff-btn";
+    diffBtn.textContent = "Diff";
+    diffBtn.title = "Compare the other device's version with yours";
+    diffBtn.onclick = () => {
+      panel.hidden = !panel.hidden;
+    };
+    actionsDiv.appendChild(diffBtn);
+    li.appendChild(panel);
+  }
+
+  actionsDiv.appendChild(keepLocalBtn);
+  actionsDiv.appendChild(keepRemoteBtn);
+  return li;
+}
+
+/**
+ * Shows the sync conflicts waiting for the user.
+ */
+async function renderConflicts() {
+  let conflicts;
+  try {
+    conflicts = await getTemplateConflicts();
+  } catch (error) {
+    // Templates are still syncing; the list is rendered again once they arrive
+    return;
+  }
+
+  elements.conflictsList.innerHTML = "";
+  elements.conflictsSection.hidden = !conflicts.length;
+  conflicts.forEach(conflict => {
+    elements.conflictsList.appendChild(createConflictItem(conflict));
+  });
+}
+
+/**
+ * Gets the tab the popup was opened on.
+ * @returns {Promise<Object|undefined>} The tab
+ */
+async function getActiveTab() {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  return tab;
+}
+
+/**
+ * Gets the URL of the tab the popup was opened on.
+ * @returns {Promise<string>} The URL, or an empty string if there is none
+ */
+async function getActiveTabUrl() {
+  const tab = await getActiveTab();
+  return (tab && tab.url) || "";
+}
+
+/**
+ * Creates a list item for an entry of the tab's insertion history.
+ * @param {Object} entry - The history entry ({ templateId, name, time, undone })
+ * @param {number} index - Index of the entry, newest first
+ * @param {number} tabId - The tab ID
+ * @returns {HTMLElement} The list item element
+ */
+function createHistoryItem(entry, index, tabId) {
+  const li = document.createElement("li");
+  li.className = "template-item";
+
+  const nameSpan = document.createElement("span");
+  nameSpan.className = "template-name";
+  nameSpan.textContent = `${entry.name} `;
+  const time = document.createElement("span");
+  time.className = "template-time";
+  time.textContent = new Date(entry.time).toLocaleTimeString();
+  nameSpan.appendChild(time);
+  if (entry.undone) {
+    nameSpan.appendChild(createBadge("undone"));
+  }
+
+  const replayBtn = document.createElement("button");
+  replayBtn.textContent = "Insert again";
+  replayBtn.title = "Insert this template again into the focused field of the page";
+  replayBtn.onclick = async () => {
+    const result = await chrome.runtime.sendMessage({ action: ACTION_REPLAY_INSERTION, tabId, index });
+    if (result && result.ok) {
+      window.close();
+    } else {
+      showAlert((result && result.error) || "Could not insert the template", true);
+    }
+  };
+
+  li.appendChild(nameSpan);
+  li.appendChild(replayBtn);
+  return li;
+}
+
+/**
+ * Shows the recent insertions on the current tab.
+ */
+async function renderHistory() {
+  const tab = await getActiveTab();
+  const entries = tab ? await chrome.runtime.sendMessage({ action: ACTION_GET_HISTORY, tabId: tab.id }) : [];
+
+  elements.historyList.innerHTML = "";
+  elements.historySection.hidden = !entries || !entries.length;
+  (entries || []).forEach((entry, index) => {
+    elements.historyList.appendChild(createHistoryItem(entry, index, tab.id));
+  });
+}
+
+/**
+ * Creates a list item for a template in the trash.
+ * @param {Object} entry - The trash entry ({ template, deletedAt })
+ * @param {number} index - Index of the entry, most recently removed first
+ * @returns {HTMLElement} The list item element
+ */
+function createTrashItem(entry, index) {
+  const li = document.createElement("li");
+  li.className = "template-item";
+
+  const nameSpan = document.createElement("span");
+  nameSpan.className = "template-name";
+  nameSpan.textContent = `${entry.template.name} `;
+  const time = document.createElement("span");
+  time.className = "template-time";
+  time.textContent = `removed ${new Date(entry.deletedAt).toLocaleString()}`;
+  nameSpan.appendChild(time);
+
+  const actionsDiv = document.createElement("div");
+  actionsDiv.className = "template-actions";
+
+  const restoreBtn = document.createElement("button");
+  restoreBtn.textContent = "Restore";
+  restoreBtn.onclick = async () => {
+    try {
+      await restoreFromTrash(index);
+    } catch (error) {
+      showAlert(error.message, true);
+      return;
+    }
+    showAlert("Template restored");
+    refresh();
+  };
+
+  const deleteBtn = document.createElement("button");
+  deleteBtn.className = "remove-btn";
+  deleteBtn.textContent = "Delete";
+  deleteBtn.title = "Delete this template and its history for good";
+  deleteBtn.onclick = () => deleteTrashEntries(index);
+
+  actionsDiv.appendChild(restoreBtn);
+  actionsDiv.appendChild(deleteBtn);
+  li.appendChild(nameSpan);
+  li.appendChild(actionsDiv);
+  return li;
+}
+
+/**
+ * Deletes templates from the trash for good.
+ * @param {number|null} index - Index of the entry, or null to empty the trash
+ * @returns {Promise<void>}
+ */
+async function deleteTrashEntries(index) {
+  try {
+    await deleteFromTrash(index);
+  } catch (error) {
+    showAlert(error.message, true);
+    return;
+  }
+  renderTrash();
+}
+
+/**
+ * Shows the templates in the trash.
+ */
+async function renderTrash() {
+  const trash = await getTrash();
+  elements.trashList.innerHTML = "";
+  elements.trashSection.hidden = !trash.length;
+  trash.forEach((entry, index) => {
+    elements.trashList.appendChild(createTrashItem(entry, index));
+  });
+}
+
+/**
+ * Loads whether the list is limited to templates for the current site.
+ * @returns {Promise<boolean>} True if the site filter is on
+ */
+function loadSiteFilter() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get([SITE_FILTER_KEY], (result) => {
+      resolve(Boolean(result[SITE_FILTER_KEY]));
+    });
+  });
+}
+
 /**
  * Refreshes the template list display.
  */
 async function refresh() {
-  const userTemplates = await getTemplates();
+  let userTemplates;
+  try {
+    userTemplates = await getTemplates();
+  } catch (error) {
+    showAlert(error.message, true);
+    return;
+  }
   const defaultTemplates = await loadDefaultTemplates();
 
   // Dynamically extract default template IDs from loaded templates
   defaultTemplateIds = defaultTemplates.map(t => t.id);
+  defaultTemplatesById = new Map(defaultTemplates.map(t => [t.id, t]));
+
+  allTemplates = mergeTemplates(userTemplates, defaultTemplates);
+  collapsedCategories = await loadCollapsedCategories();
+  activeTabUrl = await getActiveTabUrl();
+  pinnedTemplates = await getPinnedTemplates();
+  pinShortcuts = await loadPinShortcuts();
+  revisionHistory = await getRevisionHistory();
 
-  const allTemplates = mergeTemplates(userTemplates, defaultTemplates);
+  const visibleTemplates = elements.siteFilter.checked
+    ? allTemplates.filter(template => isTemplateAvailableOn(template, activeTabUrl))
+    : allTemplates;
 
   elements.list.innerHTML = "";
-  allTemplates.forEach(template => {
-    elements.list.appendChild(createTemplateItem(template));
-  });
+  renderCategoryNode(buildCategoryTree(visibleTemplates), elements.list);
+  renderConflicts();
+  renderTrash();
 }
 
 /**
@@ -238,11 +1014,45 @@ async function refresh() {
  * @returns {boolean} True if valid, false otherwise
  */
 function validateForm() {
-  const { name, content } = getFormValues();
+  const { id, name, abbreviation, type, include, exclude, content } = getFormValues();
   if (!name || !content) {
     showAlert("Name and content are required!", true);
     return false;
   }
+
+  let candidate = { id, name, content };
+  if (type === TYPE_FILL) {
+    const { fill, error } = parseFillFields(content);
+    if (error) {
+      showAlert(error, true);
+      return false;
+    }
+    candidate = { id, name, fill };
+  }
+  const includeError = findIncludeError(candidate, [...allTemplates.filter(tpl => tpl.id !== id), candidate]);
+  if (includeError) {
+    showAlert(`This template ${includeError}`, true);
+    return false;
+  }
+
+  const patternError = [...include, ...exclude].map(getUrlPatternError).find(Boolean);
+  if (patternError) {
+    showAlert(patternError, true);
+    return false;
+  }
+
+  if (/\s/.test(abbreviation)) {
+    showAlert("Abbreviation cannot contain spaces!", true);
+    return false;
+  }
+
+  const duplicate = abbreviation && allTemplates.find(
+    tpl => tpl.abbreviation === abbreviation && tpl.id !== id
+  );
+  if (duplicate) {
+    showAlert(`Abbreviation "${abbreviation}" is already used by "${duplicate.name}"!`, true);
+    return false;
+  }
   return true;
 }
 
@@ -254,21 +1064,70 @@ async function handleSave() {
     return;
   }
 
-  const { id, name, content } = getFormValues();
-  const templates = await getTemplates();
+  const { id, name, abbreviation, category, type, format, multiline, include, exclude, content } = getFormValues();
+  const template = type === TYPE_FILL ? { name, fill: parseFillFields(content).fill } : { name, content };
+  if (abbreviation) {
+    template.abbreviation = abbreviation;
+  }
+  if (category) {
+    template.category = category;
+  }
+  if (format !== DEFAULT_FORMAT) {
+    template.format = format;
+  }
+  if (multiline !== DEFAULT_MULTILINE) {
+    template.multiline = multiline;
+  }
+  if (include.length) {
+    template.include = include;
+  }
+  if (exclude.length) {
+    template.exclude = exclude;
+  }
 
-  if (id) {
-    // Update existing template
-    const index = templates.findIndex(tpl => tpl.id === id);
-    if (index !== -1) {
-      templates[index] = { name, content, id };
+  try {
+    const templates = await getTemplates();
+    const upstream = defaultTemplatesById.get(id);
+    if (id) {
+      // Update existing template
+      const index = templates.findIndex(tpl => tpl.id === id);
+      const stored = index !== -1 ? templates[index] : undefined;
+      let updated;
+      if (upstream && fingerprintTemplate(template) === fingerprintTemplate(upstream)) {
+        // Identical to the default: nothing to override
+        updated = undefined;
+      } else if (stored) {
+        updated = isOverride(stored) ? { ...template, id, overrides: stored.overrides } : { ...template, id };
+      } else if (upstream) {
+        // First edit of a default template
+        updated = createOverride(upstream, template);
+      }
+
+      // Changed on another device since the form was filled: let the user choose instead of overwriting, unless
+      // both removed it. Saving a default unchanged removes this device's version, recorded as a tombstone
+      if (!sameTemplate(stored, editingBase) && (updated || stored)) {
+        await addTemplateConflicts([{ id, local: updated || createTombstone(stored), remote: stored }]);
+        clearForm();
+        showAlert("This template was changed on another device while you edited it. Choose which version to keep.", true);
+        return;
+      }
+      if (index !== -1) {
+        templates.splice(index, 1, ...(updated ? [updated] : []));
+      } else if (updated) {
+        templates.push(updated);
+      }
+    } else {
+      // Create new template
+      templates.push({ id: Date.now().toString(), ...template });
     }
-  } else {
-    // Create new template
-    templates.push({ id: Date.now().toString(), name, content });
+
+    await saveTemplates(templates);
+  } catch (error) {
+    // Keep the form filled so nothing typed is lost
+    showAlert(error.message, true);
+    return;
   }
 
-  await saveTemplates(templates);
   clearForm();
   showAlert("Template saved successfully!");
   refresh();
@@ -298,14 +1157,27 @@ function showAlert(message, isError = false) {
 // Event listeners
 elements.newBtn.onclick = clearForm;
 elements.saveBtn.onclick = handleSave;
+elements.typeInput.onchange = updateContentPlaceholder;
+elements.emptyTrashBtn.onclick = () => deleteTrashEntries(null);
 elements.optionsBtn.onclick = () => { chrome.runtime.openOptionsPage(); };
+elements.siteFilter.onchange = () => {
+  chrome.storage.local.set({ [SITE_FILTER_KEY]: elements.siteFilter.checked });
+  refresh();
+};
 
-// Listen for template reload messages from options or background
-chrome.runtime.onMessage.addListener((message) => {
-  if (message.action === ACTION_RELOAD) {
+// Show changes made in the options page, on another device or by a source refresh
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (isTemplateStorageChange(changes, areaName) ||
+    (areaName === "local" && (changes[SOURCE_CACHE_KEY] || changes[REVISIONS_KEY] || changes[TRASH_KEY]))) {
     refresh();
+  } else if (areaName === "local" && changes[CONFLICTS_KEY]) {
+    renderConflicts();
   }
 });
 
 // Initialize the UI
-refresh();
+loadSiteFilter().then((enabled) => {
+  elements.siteFilter.checked = enabled;
+  refresh();
+});
+renderHistory();
@@ -0,0 +1,137 @@
+// revisions.js - revision history and trash of custom templates, shared by the service worker, popup and options page.
+// Both stay on this device, in local storage, so they don't use up the sync quota.
+const REVISIONS_KEY = "template_revisions";
+const TRASH_KEY = "template_trash";
+const MAX_REVISIONS_PER_TEMPLATE = 20;
+const MAX_TRASH_ITEMS = 50;
+const TRASH_RETENTION_DAYS = 30;
+
+/**
+ * Reads the revision history of all custom templates.
+ * @returns {Promise<Object>} Map of template id to earlier versions ({ template, replacedAt }), newest first
+ */
+function getRevisionHistory() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get([REVISIONS_KEY], (result) => {
+      resolve(result[REVISIONS_KEY] || {});
+    });
+  });
+}
+
+/**
+ * Reads the trash.
+ * @returns {Promise<Array<Object>>} Removed templates ({ template, deletedAt }), most recently removed first
+ */
+function getTrash() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get([TRASH_KEY], (result) => {
+      resolve(result[TRASH_KEY] || []);
+    });
+  });
+}
+
+/**
+ * Gets when a revision was saved.
+ * @param {Object} revision - The revision ({ template, replacedAt })
+ * @returns {number} The time in milliseconds; for versions saved before revisions were tracked, when it was replaced
+ */
+function getRevisionTime(revision) {
+  return revision.template.updatedAt || revision.replacedAt;
+}
+
+/**
+ * Keeps the versions a library change replaces: edited templates get their previous version added to their
+ * history, and removed ones go to the trash. History of templates that are neither live nor in the trash is dropped.
+ * @param {Array<Object>} previous - The library before the change, with tombstones
+ * @param {Array<Object>} next - The library after the change, with tombstones
+ * @returns {Promise<void>}
+ */
+async function recordLibraryChanges(previous, next) {
+  const [history, trash] = await Promise.all([getRevisionHistory(), getTrash()]);
+  const previousById = new Map(previous.map(t => [t.id, t]));
+  const now = Date.now();
+
+  next.forEach(template => {
+    const old = previousById.get(template.id);
+    if (isDeletedTemplate(old) || sameVersion(old, template)) return;
+
+    if (isTombstone(template)) {
+      trash.unshift({ template: old, deletedAt: now });
+    } else if (!sameTemplate(old, template)) {
+      history[template.id] = [{ template: old, replacedAt: now }, ...(history[template.id] || [])]
+        .slice(0, MAX_REVISIONS_PER_TEMPLATE);
+    }
+  });
+
+  const keptTrash = trash
+    .filter(entry => now - entry.deletedAt < TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000)
+    .slice(0, MAX_TRASH_ITEMS);
+  const keptIds = new Set([
+    ...next.filter(t => !isTombstone(t)).map(t => t.id),
+    ...keptTrash.map(entry => entry.template.id)
+  ]);
+  Object.keys(history).filter(id => !keptIds.has(id)).forEach(id => {
+    delete history[id];
+  });
+
+  await chrome.storage.local.set({ [REVISIONS_KEY]: history, [TRASH_KEY]: keptTrash });
+}
+
+/**
+ * Makes an earlier version of a custom template the current one. The version it replaces is kept in the history.
+ * @param {string} id - The template id
+ * @param {number} index - Index of the revision in the template's history, newest first
+ * @returns {Promise<void>} Rejects with a TemplateStorageError when saving fails
+ */
+async function restoreRevision(id, index) {
+  const revision = ((await getRevisionHistory())[id] || [])[index];
+  const templates = await readCustomTemplates();
+  const position = templates.findIndex(t => t.id === id);
+  if (!revision || position === -1) {
+    throw new TemplateStorageError("This version can no longer be restored.");
+  }
+
+  templates[position] = { ...revision.template, id };
+  await writeCustomTemplates(templates);
+}
+
+/**
+ * Puts a template from the trash back into the library. It gets a new id if its id was taken since.
+ * @param {number} index - Index of the template in the trash
+ * @returns {Promise<Object>} The restored template
+ */
+async function restoreFromTrash(index) {
+  const entry = (await getTrash())[index];
+  if (!entry) {
+    throw new TemplateStorageError("This template is no longer in the trash.");
+  }
+
+  const templates = await readCustomTemplates();
+  const restored = templates.some(t => t.id === entry.template.id)
+    ? { ...entry.template, id: Date.now().toString() }
+    : entry.template;
+  templates.push(restored);
+  await writeCustomTemplates(templates);
+
+  const trash = await getTrash();
+  await chrome.storage.local.set({
+    [TRASH_KEY]: trash.filter(t => t.deletedAt !== entry.deletedAt || t.template.id !== entry.template.id)
+  });
+  return restored;
+}
+
+/**
+ * Removes templates from the trash for good, with their revision history.
+ * @param {number|null} index - Index of the template in the trash, or null to empty the trash
+ * @returns {Promise<void>}
+ */
+async function deleteFromTrash(index) {
+  const [history, trash, templates] = await Promise.all([getRevisionHistory(), getTrash(), readCustomTemplates()]);
+  const removed = index === null ? trash.splice(0) : trash.splice(index, 1);
+  // Reset overrides keep the id of their default, which may have been customized again
+  const liveIds = new Set(templates.map(t => t.id));
+  removed.filter(entry => !liveIds.has(entry.template.id)).forEach(entry => {
+    delete history[entry.template.id];
+  });
+  await chrome.storage.local.set({ [REVISIONS_KEY]: history, [TRASH_KEY]: trash });
+}
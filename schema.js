@@ -0,0 +1,212 @@
+// schema.js - template schema and validation, shared by the service worker, popup and options page.
+const TEMPLATE_SCHEMA_VERSION = 1;
+const MAX_TEMPLATE_CONTENT_LENGTH = 20000;
+const TEMPLATE_FORMATS = ["text", "markdown", "html"];
+const MULTILINE_POLICIES = ["flatten", "reject"];
+const FILL_TARGET_KEYS = ["selector", "name", "label"];
+
+/**
+ * Checks a list of URL match patterns.
+ * @param {Array} patterns - The patterns
+ * @returns {string|null} The first problem, or null if all are valid
+ */
+function checkUrlPatterns(patterns) {
+  for (const pattern of patterns) {
+    if (typeof pattern !== "string") return "must contain only strings";
+    const problem = getUrlPatternError(pattern);
+    if (problem) return `contains ${problem}`;
+  }
+  return null;
+}
+
+/**
+ * Checks the fields of a form-fill template. Each one finds its field by exactly one of
+ * `selector`, `name` or `label`, and has a `value`.
+ * @param {Array} fields - The form fields
+ * @returns {string|null} The first problem, or null if all are valid
+ */
+function checkFillFields(fields) {
+  if (!fields.length) return "must list at least one field";
+
+  for (const [index, field] of fields.entries()) {
+    const position = `field #${index + 1}`;
+    if (!field || typeof field !== "object" || Array.isArray(field)) return `${position} must be an object`;
+
+    const targets = FILL_TARGET_KEYS.filter(key => field[key] !== undefined);
+    if (targets.length !== 1) return `${position} must have exactly one of ${FILL_TARGET_KEYS.join(", ")}`;
+    if (typeof field[targets[0]] !== "string" || !field[targets[0]].trim()) {
+      return `${position} "${targets[0]}" must be a non-empty string`;
+    }
+    if (typeof field.value !== "string") return `${position} "value" must be a string`;
+  }
+  return null;
+}
+
+/**
+ * Checks whether a template fills several form fields instead of inserting text.
+ * @param {Object} template - The template
+ * @returns {boolean} True for form-fill templates
+ */
+function isFormFillTemplate(template) {
+  return Array.isArray(template.fill);
+}
+
+/**
+ * Template fields by name. Anything else is reported as an unknown field.
+ * `check` returns an error message for invalid values. `required` may depend on the template.
+ */
+const TEMPLATE_SCHEMA = {
+  id: { type: "string", required: true, check: value => (value.trim() ? null : "must not be empty") },
+  name: { type: "string", required: true, check: value => (value.trim() ? null : "must not be empty") },
+  content: {
+    type: "string",
+    // Form-fill templates carry their text in `fill` instead
+    required: template => !isFormFillTemplate(template),
+    check: value => (value.length > MAX_TEMPLATE_CONTENT_LENGTH
+      ? `is ${value.length} characters, the limit is ${MAX_TEMPLATE_CONTENT_LENGTH}`
+      : null)
+  },
+  abbreviation: { type: "string", check: value => (/^\S+$/.test(value) ? null : "must be non-empty and contain no spaces") },
+  category: { type: "string" },
+  format: { type: "string", check: value => (TEMPLATE_FORMATS.includes(value) ? null : `must be one of ${TEMPLATE_FORMATS.join(", ")}`) },
+  multiline: {
+    type: "string",
+    check: value => (MULTILINE_POLICIES.includes(value) ? null : `must be one of ${MULTILINE_POLICIES.join(", ")}`)
+  },
+  fill: { type: "array", check: checkFillFields },
+  include: { type: "array", check: checkUrlPatterns },
+  exclude: { type: "array", check: checkUrlPatterns },
+  overrides: { type: "string" },
+  // Sync metadata, set when the template is saved
+  updatedAt: { type: "number" },
+  revision: { type: "number" },
+  basedOn: { type: "number" }
+};
+
+// A complete placeholder: {{name}}, {{name:argument}} or an include, {{> template_id}}
+const PLACEHOLDER_SYNTAX = /^\s*(?:[a-zA-Z_][\w-]*\s*(?::[^}]*)?|>\s*[^\s{}]+\s*)$/;
+const PLACEHOLDER_TOKEN = /\{\{([^{}]*)\}\}/g;
+
+/**
+ * Finds malformed placeholders in template content.
+ * @param {string} content - The template content
+ * @returns {Array<string>} Problem descriptions
+ */
+function checkPlaceholderSyntax(content) {
+  const problems = [];
+
+  for (const [token, inner] of content.matchAll(PLACEHOLDER_TOKEN)) {
+    if (!PLACEHOLDER_SYNTAX.test(inner)) {
+      problems.push(`malformed placeholder ${token}`);
+    }
+  }
+
+  if (content.replace(PLACEHOLDER_TOKEN, "").includes("{{")) {
+    problems.push("unclosed placeholder: \"{{\" without matching \"}}\"");
+  }
+
+  return problems;
+}
+
+/**
+ * Validates a single template against the schema.
+ * @param {*} template - The value to validate
+ * @returns {{errors: Array<string>, warnings: Array<string>}} Problems found
+ */
+function validateTemplate(template) {
+  const errors = [];
+  const warnings = [];
+
+  if (!template || typeof template !== "object" || Array.isArray(template)) {
+    return { errors: ["must be an object"], warnings };
+  }
+
+  Object.entries(TEMPLATE_SCHEMA).forEach(([field, rule]) => {
+    const value = template[field];
+    if (value === undefined || value === null) {
+      const required = typeof rule.required === "function" ? rule.required(template) : rule.required;
+      if (required) errors.push(`"${field}" is required`);
+      return;
+    }
+    const type = Array.isArray(value) ? "array" : typeof value;
+    if (type !== rule.type) {
+      errors.push(`"${field}" must be a${rule.type === "array" ? "n" : ""} ${rule.type}, got ${type}`);
+      return;
+    }
+    const problem = rule.check && rule.check(value);
+    if (problem) errors.push(`"${field}" ${problem}`);
+  });
+
+  Object.keys(template)
+    .filter(field => !(field in TEMPLATE_SCHEMA))
+    .forEach(field => warnings.push(`unknown field "${field}"`));
+
+  if (typeof template.content === "string") {
+    warnings.push(...checkPlaceholderSyntax(template.content));
+  }
+  if (isFormFillTemplate(template)) {
+    if (typeof template.content === "string") {
+      warnings.push("\"content\" is ignored in form-fill templates");
+    }
+    template.fill
+      .filter(field => field && typeof field.value === "string")
+      .forEach(field => warnings.push(...checkPlaceholderSyntax(field.value)));
+  }
+
+  return { errors, warnings };
+}
+
+/**
+ * Validates a template JSON document: either a plain array of templates or
+ * `{ "version": 1, "templates": [...] }`. Invalid templates are left out of the result.
+ * @param {*} json - The parsed JSON
+ * @returns {{version: number, templates: Array, issues: Array<Object>, fatal: string|null}}
+ *   Valid templates and issues ({ index, id, level, message }); `fatal` is set when
+ *   the document itself can't be used
+ */
+function validateTemplateDocument(json) {
+  const result = { version: TEMPLATE_SCHEMA_VERSION, templates: [], issues: [], fatal: null };
+  let items = json;
+
+  if (!Array.isArray(json)) {
+    if (!json || typeof json !== "object" || !Array.isArray(json.templates)) {
+      result.fatal = "Invalid JSON: expected an array of templates or { \"version\", \"templates\" }";
+      return result;
+    }
+    if (json.version !== TEMPLATE_SCHEMA_VERSION) {
+      result.fatal = `Unsupported schema version ${JSON.stringify(json.version)}, expected ${TEMPLATE_SCHEMA_VERSION}`;
+      return result;
+    }
+    items = json.templates;
+  }
+
+  const seenIds = new Map();
+  const seenAbbreviations = new Map();
+
+  items.forEach((template, index) => {
+    const id = template && typeof template.id === "string" ? template.id : null;
+    const { errors, warnings } = validateTemplate(template);
+
+    if (id && seenIds.has(id)) {
+      errors.push(`duplicate id, already used by template #${seenIds.get(id)}`);
+    }
+
+    const abbreviation = template && template.abbreviation;
+    if (!errors.length && abbreviation && seenAbbreviations.has(abbreviation)) {
+      warnings.push(`duplicate abbreviation "${abbreviation}", already used by template #${seenAbbreviations.get(abbreviation)}`);
+    }
+
+    errors.forEach(message => result.issues.push({ index, id, level: "error", message }));
+    warnings.forEach(message => result.issues.push({ index, id, level: "warning", message }));
+
+    if (!errors.length) {
+      result.templates.push(template);
+      seenIds.set(id, index);
+      if (abbreviation && !seenAbbreviations.has(abbreviation)) {
+        seenAbbreviations.set(abbreviation, index);
+      }
+    }
+  });
+
+  return result;
+}
@@ -0,0 +1,258 @@
+#!/usr/bin/env node
+// server/team-server.js - reference team template server, for trying out publishing from the options page.
+// Implements the REST contract documented in the README under "Team Server", keeping templates in a JSON file.
+// No dependencies: node server/team-server.js --token secret [--port 8787] [--data team-templates.json] [--review]
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const vm = require("vm");
+
+// Validate templates with the extension's own schema
+["url-patterns.js", "schema.js"].forEach(file => {
+  const filename = path.join(__dirname, "..", file);
+  vm.runInThisContext(fs.readFileSync(filename, "utf8"), { filename });
+});
+
+const DEFAULT_PORT = 8787;
+const MAX_BODY_BYTES = 1024 * 1024;
+// Fields that only mean something in the browser that published the template
+const SERVER_IGNORED_FIELDS = ["overrides", "updatedAt", "revision", "basedOn"];
+
+/**
+ * Reads the command line options.
+ * @param {Array<string>} args - The arguments after the script name
+ * @returns {Object} The options ({ port, token, data, review })
+ */
+function parseArgs(args) {
+  const options = {
+    port: Number(process.env.PORT) || DEFAULT_PORT,
+    token: process.env.TEAM_TOKEN || "",
+    data: path.join(process.cwd(), "team-templates.json"),
+    review: false
+  };
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case "--port": options.port = Number(args[++i]); break;
+      case "--token": options.token = args[++i]; break;
+      case "--data": options.data = path.resolve(args[++i]); break;
+      case "--review": options.review = true; break;
+      default: throw new Error(`Unknown option ${args[i]}`);
+    }
+  }
+  return options;
+}
+
+/**
+ * Loads the stored templates.
+ * @param {string} file - The data file
+ * @returns {Object} The store ({ version, templates: [{ template, revision }], proposals })
+ */
+function loadStore(file) {
+  if (!fs.existsSync(file)) {
+    return { version: 0, templates: [], proposals: [] };
+  }
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+/**
+ * Saves the store, bumping the version of the template list.
+ * @param {string} file - The data file
+ * @param {Object} store - The store
+ */
+function saveStore(file, store) {
+  store.version++;
+  fs.writeFileSync(file, `${JSON.stringify(store, null, 2)}\n`);
+}
+
+/**
+ * Sends a JSON response with the CORS headers the options page needs.
+ * @param {http.ServerResponse} res - The response
+ * @param {number} status - The HTTP status
+ * @param {Object} [body] - The JSON body
+ * @param {Object} [headers] - Extra headers
+ */
+function send(res, status, body, headers = {}) {
+  res.writeHead(status, {
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Headers": "Authorization, Content-Type, If-Match, If-None-Match",
+    "Access-Control-Allow-Methods": "GET, POST, PUT, OPTIONS",
+    "Access-Control-Expose-Headers": "ETag",
+    ...(body ? { "Content-Type": "application/json" } : {}),
+    ...headers
+  });
+  res.end(body ? JSON.stringify(body) : undefined);
+}
+
+/**
+ * Reads a JSON request body.
+ * @param {http.IncomingMessage} req - The request
+ * @returns {Promise<Object>} The parsed body; rejects when it is too large or not JSON
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let text = "";
+    req.setEncoding("utf8");
+    req.on("data", chunk => {
+      text += chunk;
+      if (text.length > MAX_BODY_BYTES) {
+        reject(new Error("Request body is too large"));
+        req.destroy();
+      }
+    });
+    req.on("end", () => {
+      try {
+        resolve(JSON.parse(text || "{}"));
+      } catch (error) {
+        reject(new Error("Request body is not JSON"));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+/**
+ * Checks a published template and drops the fields the server doesn't keep.
+ * @param {*} template - The template from the request body
+ * @returns {{template?: Object, error?: string}} The template to store, or why it was refused
+ */
+function checkTemplate(template) {
+  if (!template || typeof template !== "object" || Array.isArray(template)) {
+    return { error: "expected { \"template\": {...} }" };
+  }
+  const cleaned = { ...template };
+  SERVER_IGNORED_FIELDS.forEach(field => delete cleaned[field]);
+  const { errors } = validateTemplate(cleaned);
+  return errors.length ? { error: errors.join("; ") } : { template: cleaned };
+}
+
+/**
+ * Builds the ETag of a stored template.
+ * @param {Object} entry - The stored entry ({ template, revision })
+ * @returns {string} The ETag
+ */
+function templateEtag(entry) {
+  return `"${entry.revision}"`;
+}
+
+/**
+ * Creates the request handler.
+ * @param {Object} options - The command line options
+ * @returns {Function} The handler
+ */
+function createHandler(options) {
+  const store = loadStore(options.data);
+
+  return async (req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    const match = url.pathname.match(/^\/templates(?:\/([^/]+))?\/?$/);
+
+    if (req.method === "OPTIONS") {
+      send(res, 204);
+      return;
+    }
+    if (!match) {
+      send(res, 404, { error: "Not found" });
+      return;
+    }
+    // Reads are public, so the template list can also be added as a template source
+    if (req.method !== "GET" && options.token && req.headers.authorization !== `Bearer ${options.token}`) {
+      send(res, 401, { error: "Missing or wrong token" });
+      return;
+    }
+
+    const id = match[1] && decodeURIComponent(match[1]);
+    const entry = id && store.templates.find(e => e.template.id === id);
+
+    if (req.method === "GET" && !id) {
+      const etag = `"list-${store.version}"`;
+      if (req.headers["if-none-match"] === etag) {
+        send(res, 304, null, { ETag: etag });
+        return;
+      }
+      send(res, 200, { version: TEMPLATE_SCHEMA_VERSION, templates: store.templates.map(e => e.template) }, { ETag: etag });
+      return;
+    }
+    if (req.method === "GET") {
+      if (!entry) {
+        send(res, 404, { error: "No template with this id" });
+        return;
+      }
+      send(res, 200, { template: entry.template }, { ETag: templateEtag(entry) });
+      return;
+    }
+    if (req.method !== "POST" && req.method !== "PUT") {
+      send(res, 405, { error: "Method not allowed" });
+      return;
+    }
+    if ((req.method === "POST") === Boolean(id)) {
+      send(res, 405, { error: "POST to /templates, PUT to /templates/:id" });
+      return;
+    }
+
+    let body;
+    try {
+      body = await readBody(req);
+    } catch (error) {
+      send(res, 400, { error: error.message });
+      return;
+    }
+    const { template, error } = checkTemplate(body.template);
+    if (error) {
+      send(res, 400, { error });
+      return;
+    }
+
+    if (req.method === "POST") {
+      const existing = store.templates.find(e => e.template.id === template.id);
+      if (existing) {
+        send(res, 409, { error: "A template with this id exists", template: existing.template }, { ETag: templateEtag(existing) });
+        return;
+      }
+      const created = { template, revision: 1 };
+      store.templates.push(created);
+      saveStore(options.data, store);
+      console.log(`Published ${template.id}`);
+      send(res, 201, { template }, { ETag: templateEtag(created) });
+      return;
+    }
+
+    if (template.id !== id) {
+      send(res, 400, { error: "The template id doesn't match the URL" });
+      return;
+    }
+    if (!entry) {
+      send(res, 404, { error: "No template with this id" });
+      return;
+    }
+    if (!req.headers["if-match"]) {
+      send(res, 428, { error: "If-Match is required" });
+      return;
+    }
+    if (req.headers["if-match"] !== templateEtag(entry)) {
+      send(res, 412, { error: "The template changed on the server", template: entry.template }, { ETag: templateEtag(entry) });
+      return;
+    }
+
+    if (options.review) {
+      store.proposals.push({ template, basedOn: entry.revision, proposedAt: new Date().toISOString() });
+      saveStore(options.data, store);
+      console.log(`Change to ${id} proposed for review`);
+      send(res, 202, { template: entry.template }, { ETag: templateEtag(entry) });
+      return;
+    }
+    entry.template = template;
+    entry.revision++;
+    saveStore(options.data, store);
+    console.log(`Updated ${id} to revision ${entry.revision}`);
+    send(res, 200, { template }, { ETag: templateEtag(entry) });
+  };
+}
+
+const options = parseArgs(process.argv.slice(2));
+if (!options.token) {
+  console.warn("No --token given: anyone who can reach the server can publish");
+}
+http.createServer(createHandler(options)).listen(options.port, () => {
+  console.log(`Team template server on http://localhost:${options.port}/templates, data in ${options.data}`);
+  if (options.review) console.log("Review mode: changes to existing templates are kept as proposals");
+});
@@ -0,0 +1,177 @@
+// sources.js - remote template sources, shared by the service worker, popup and options page.
+// Responses are cached in chrome.storage.local and revalidated with ETag/Last-Modified,
+// so templates stay available offline and pages never wait on the network.
+const SOURCES_KEY = "template_sources";
+const SOURCE_CACHE_KEY = "template_source_cache";
+const LEGACY_SOURCE_URL_KEY = "template_json_url";
+const REFRESH_INTERVAL_KEY = "source_refresh_minutes";
+const DEFAULT_REFRESH_MINUTES = 60;
+const MIN_REFRESH_MINUTES = 5;
+
+/**
+ * Retrieves the configured template sources.
+ * A legacy single `template_json_url` setting is returned as one source.
+ * @returns {Promise<Array>} Array of sources ({ id, label, url, enabled })
+ */
+function getTemplateSources() {
+  return new Promise((resolve) => {
+    chrome.storage.sync.get([SOURCES_KEY, LEGACY_SOURCE_URL_KEY], (result) => {
+      if (Array.isArray(result[SOURCES_KEY])) {
+        resolve(result[SOURCES_KEY]);
+        return;
+      }
+
+      const legacyUrl = result[LEGACY_SOURCE_URL_KEY];
+      resolve(legacyUrl ? [{ id: "default", label: "Default", url: legacyUrl, enabled: true }] : []);
+    });
+  });
+}
+
+/**
+ * Saves the template sources, replacing the legacy single URL setting.
+ * @param {Array} sources - Array of sources ({ id, label, url, enabled })
+ * @returns {Promise<void>}
+ */
+function saveTemplateSources(sources) {
+  return new Promise((resolve, reject) => {
+    chrome.storage.sync.set({ [SOURCES_KEY]: sources }, () => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+        return;
+      }
+      chrome.storage.sync.remove(LEGACY_SOURCE_URL_KEY, () => resolve());
+    });
+  });
+}
+
+/**
+ * Retrieves the refresh interval for remote sources.
+ * @returns {Promise<number>} Interval in minutes
+ */
+function getRefreshInterval() {
+  return new Promise((resolve) => {
+    chrome.storage.sync.get([REFRESH_INTERVAL_KEY], (result) => {
+      const minutes = Number(result[REFRESH_INTERVAL_KEY]) || DEFAULT_REFRESH_MINUTES;
+      resolve(Math.max(MIN_REFRESH_MINUTES, minutes));
+    });
+  });
+}
+
+/**
+ * Retrieves the cached responses and status of every source.
+ * @returns {Promise<Object>} Map of source id to cache entry
+ */
+function getSourceCache() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get([SOURCE_CACHE_KEY], (result) => {
+      resolve(result[SOURCE_CACHE_KEY] || {});
+    });
+  });
+}
+
+/**
+ * Saves the cached responses and status of every source.
+ * @param {Object} cache - Map of source id to cache entry
+ * @returns {Promise<void>}
+ */
+function saveSourceCache(cache) {
+  return new Promise((resolve) => {
+    chrome.storage.local.set({ [SOURCE_CACHE_KEY]: cache }, resolve);
+  });
+}
+
+/**
+ * Loads default templates from the cache of every enabled source, in source order.
+ * @returns {Promise<Array>} Array of default template objects
+ */
+async function loadDefaultTemplates() {
+  const [sources, cache] = await Promise.all([getTemplateSources(), getSourceCache()]);
+
+  return sources
+    .filter(source => source.enabled)
+    .flatMap(source => (cache[source.id] && cache[source.id].templates) || []);
+}
+
+/**
+ * Fetches one source, revalidating the cached copy with ETag/Last-Modified.
+ * The response is validated against the template schema.
+ * Failures are recorded on the entry and the cached templates are kept.
+ * @param {Object} source - The source ({ id, url })
+ * @param {Object} [cached] - The current cache entry for the source
+ * @returns {Promise<Object>} The updated cache entry
+ */
+async function fetchTemplateSource(source, cached = {}) {
+  // Cached templates of a previous URL don't belong to this source anymore
+  const sameUrl = cached.url === source.url;
+  const entry = {
+    url: source.url,
+    templates: sameUrl ? cached.templates || [] : [],
+    etag: sameUrl ? cached.etag : null,
+    lastModified: sameUrl ? cached.lastModified : null,
+    lastSuccess: sameUrl ? cached.lastSuccess : null,
+    issues: sameUrl ? cached.issues || [] : [],
+    lastError: null,
+    lastErrorAt: sameUrl ? cached.lastErrorAt : null
+  };
+
+  const headers = {};
+  if (entry.etag) headers["If-None-Match"] = entry.etag;
+  if (entry.lastModified) headers["If-Modified-Since"] = entry.lastModified;
+
+  try {
+    // no-store keeps the browser cache out of the way so our own validators decide
+    const response = await fetch(source.url, { headers, cache: "no-store" });
+
+    if (response.status !== 304) {
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+
+      const { templates, issues, fatal } = validateTemplateDocument(await response.json());
+      if (fatal) {
+        throw new Error(fatal);
+      }
+
+      // Templates with errors are left out; the report is kept for the settings page
+      entry.templates = templates;
+      entry.issues = issues;
+      entry.etag = response.headers.get("ETag");
+      entry.lastModified = response.headers.get("Last-Modified");
+    }
+
+    entry.lastSuccess = Date.now();
+  } catch (error) {
+    console.error(`Failed to load template source "${source.label || source.url}":`, error);
+    entry.lastError = error.message;
+    entry.lastErrorAt = Date.now();
+  }
+
+  entry.count = entry.templates.length;
+  return entry;
+}
+
+/**
+ * Refreshes enabled sources and stores the results in the cache.
+ * @param {Object} [options]
+ * @param {boolean} [options.onlyMissing] - Only fetch sources that have never been cached
+ * @returns {Promise<Object>} The updated cache, keyed by source id
+ */
+async function refreshTemplateSources({ onlyMissing = false } = {}) {
+  const [sources, cache] = await Promise.all([getTemplateSources(), getSourceCache()]);
+  const updated = {};
+
+  for (const source of sources) {
+    const cached = cache[source.id];
+    const missing = !cached || cached.url !== source.url;
+
+    if (source.enabled && source.url && (!onlyMissing || missing)) {
+      updated[source.id] = await fetchTemplateSource(source, cached);
+    } else if (cached) {
+      updated[source.id] = cached;
+    }
+  }
+
+  // Entries of removed sources are dropped
+  await saveSourceCache(updated);
+  return updated;
+}
@@ -0,0 +1,251 @@
+// storage.js - custom template storage, shared by the service worker, popup and options page.
+// chrome.storage.sync limits each item to 8 KB, so the template library is stored as
+// JSON split across numbered chunk items, described by a small meta item.
+const LEGACY_TEMPLATES_KEY = "templates";
+const TEMPLATES_META_KEY = "templates_meta";
+const TEMPLATE_CHUNK_PREFIX = "templates_chunk_";
+// Leave room below the per-item quota for the key and JSON string escaping overhead
+const CHUNK_MAX_BYTES = chrome.storage.sync.QUOTA_BYTES_PER_ITEM - 512;
+
+/**
+ * Error raised when templates can't be saved, with a message fit for the user.
+ */
+class TemplateStorageError extends Error {
+  constructor(message, cause) {
+    super(message);
+    this.name = "TemplateStorageError";
+    this.cause = cause;
+  }
+}
+
+/**
+ * Measures the UTF-8 size of a string, which is how storage quotas are counted.
+ * @param {string} text - The text to measure
+ * @returns {number} Size in bytes
+ */
+function byteLength(text) {
+  return new TextEncoder().encode(text).length;
+}
+
+/**
+ * Splits text into pieces whose JSON-encoded size fits in maxBytes.
+ * @param {string} text - The text to split
+ * @param {number} maxBytes - Maximum encoded size per piece
+ * @returns {Array<string>} The pieces
+ */
+function splitIntoChunks(text, maxBytes) {
+  const chunks = [];
+  let start = 0;
+
+  while (start < text.length) {
+    let end = Math.min(text.length, start + maxBytes);
+    let size = byteLength(JSON.stringify(text.slice(start, end)));
+
+    while (size > maxBytes) {
+      end = start + Math.max(1, Math.floor((end - start) * maxBytes / size) - 1);
+      size = byteLength(JSON.stringify(text.slice(start, end)));
+    }
+
+    // Don't split a surrogate pair between two chunks
+    const lastCode = text.charCodeAt(end - 1);
+    if (end < text.length && lastCode >= 0xd800 && lastCode <= 0xdbff) {
+      end--;
+    }
+
+    chunks.push(text.slice(start, end));
+    start = end;
+  }
+
+  return chunks;
+}
+
+/**
+ * Promisified chrome.storage.sync.get.
+ * @param {Array<string>|null} keys - Keys to read, or null for everything
+ * @returns {Promise<Object>} The stored values
+ */
+function syncGet(keys) {
+  return new Promise((resolve) => {
+    chrome.storage.sync.get(keys, resolve);
+  });
+}
+
+/**
+ * Promisified chrome.storage.sync.getBytesInUse.
+ * @param {Array<string>|null} keys - Keys to measure, or null for everything
+ * @returns {Promise<number>} Bytes in use
+ */
+function syncBytesInUse(keys) {
+  return new Promise((resolve) => {
+    chrome.storage.sync.getBytesInUse(keys, resolve);
+  });
+}
+
+/**
+ * Builds the chunk item keys for a library split into `count` chunks.
+ * @param {number} count - The number of chunks
+ * @returns {Array<string>} The chunk keys
+ */
+function getChunkKeys(count) {
+  return Array.from({ length: count }, (_, index) => `${TEMPLATE_CHUNK_PREFIX}${index}`);
+}
+
+/**
+ * Retrieves the stored template library, reassembling it from its chunks.
+ * Libraries saved by earlier versions under the single `templates` item are read as-is.
+ * @returns {Promise<Array>} Array of template objects, with tombstones of deleted templates
+ * @throws {TemplateStorageError} When the chunks don't add up, e.g. while another device's save is still syncing
+ */
+async function readTemplateLibrary() {
+  const result = await syncGet([TEMPLATES_META_KEY, LEGACY_TEMPLATES_KEY]);
+  const meta = result[TEMPLATES_META_KEY];
+
+  if (!meta) {
+    return result[LEGACY_TEMPLATES_KEY] || [];
+  }
+
+  const keys = getChunkKeys(meta.chunks);
+  const chunks = await syncGet(keys);
+  const json = keys.map(key => chunks[key] || "").join("");
+
+  if (json.length !== meta.length) {
+    throw new TemplateStorageError("Templates are still syncing from another device, try again in a moment.");
+  }
+  return JSON.parse(json);
+}
+
+/**
+ * Retrieves the custom templates.
+ * @returns {Promise<Array>} Array of template objects
+ * @throws {TemplateStorageError} When the chunks don't add up, e.g. while another device's save is still syncing
+ */
+async function readCustomTemplates() {
+  return (await readTemplateLibrary()).filter(template => !isTombstone(template));
+}
+
+/**
+ * Saves the custom templates. Only templates that differ from the stored library get new revision
+ * metadata, and removed templates leave tombstones, so other devices can merge the change with theirs.
+ * Replaced versions go to the revision history and removed templates to the trash.
+ * @param {Array} templates - Array of template objects to save
+ * @returns {Promise<void>} Rejects with a TemplateStorageError when the save fails
+ */
+async function writeCustomTemplates(templates) {
+  const library = await readTemplateLibrary();
+  const state = await getSyncState();
+  const base = state.base || library;
+  const next = reconcileLibrary(library, templates, base);
+
+  // Remember the edit before writing it, so the storage change it causes isn't taken for another device's
+  await saveSyncState({ base, local: next });
+  try {
+    await writeTemplateLibrary(next);
+  } catch (error) {
+    await saveSyncState(state);
+    throw error;
+  }
+  await recordLibraryChanges(library, next);
+}
+
+/**
+ * Stores the template library as it is, split across as many sync items as needed.
+ * @param {Array} library - Array of template objects and tombstones
+ * @returns {Promise<void>} Rejects with a TemplateStorageError when the save fails
+ */
+async function writeTemplateLibrary(library) {
+  const json = JSON.stringify(library);
+  const chunks = splitIntoChunks(json, CHUNK_MAX_BYTES);
+  const items = { [TEMPLATES_META_KEY]: { chunks: chunks.length, length: json.length, updatedAt: Date.now() } };
+  chunks.forEach((chunk, index) => {
+    items[`${TEMPLATE_CHUNK_PREFIX}${index}`] = chunk;
+  });
+
+  const usage = await getStorageUsage();
+  const newBytes = Object.entries(items)
+    .reduce((sum, [key, value]) => sum + byteLength(key) + byteLength(JSON.stringify(value)), 0);
+  const projected = usage.bytesInUse - usage.templateBytes + newBytes;
+  if (projected > usage.quotaBytes) {
+    throw new TemplateStorageError(
+      `Templates need ${formatBytes(newBytes)}, but only ${formatBytes(usage.quotaBytes - usage.bytesInUse + usage.templateBytes)} ` +
+      `of sync storage is available. Shorten or remove some templates.`
+    );
+  }
+  // Sync also limits the number of items, which settings and other extensions' data share with the chunks
+  const itemCount = Object.keys(items).length;
+  const availableItems = usage.maxItems - usage.items + usage.templateItems;
+  if (itemCount > availableItems) {
+    throw new TemplateStorageError(
+      `Templates need ${itemCount} sync storage items, but only ${availableItems} are available. ` +
+      `Shorten or remove some templates.`
+    );
+  }
+
+  // Only send the chunks that changed, so a small edit doesn't resync the whole library. The meta item
+  // is always written, and its new updatedAt tells other devices that the library changed
+  const stored = await syncGet(Object.keys(items));
+  const changedItems = Object.fromEntries(Object.entries(items).filter(([key, value]) =>
+    key === TEMPLATES_META_KEY || stored[key] !== value
+  ));
+
+  await new Promise((resolve, reject) => {
+    chrome.storage.sync.set(changedItems, () => {
+      if (chrome.runtime.lastError) {
+        reject(new TemplateStorageError(`Saving templates failed: ${chrome.runtime.lastError.message}`, chrome.runtime.lastError));
+        return;
+      }
+      resolve();
+    });
+  });
+
+  // Drop chunks left over from a larger library and the pre-chunking item
+  const staleKeys = [LEGACY_TEMPLATES_KEY, ...getChunkKeys(usage.chunks).slice(chunks.length)];
+  await new Promise((resolve) => {
+    chrome.storage.sync.remove(staleKeys, resolve);
+  });
+}
+
+/**
+ * Reports how much sync storage is used, in total and by templates.
+ * @returns {Promise<Object>} Usage ({ bytesInUse, quotaBytes, templateBytes, chunks, items, maxItems, templateItems })
+ */
+async function getStorageUsage() {
+  const all = await syncGet(null);
+  const chunkKeys = Object.keys(all).filter(key => key.startsWith(TEMPLATE_CHUNK_PREFIX));
+  const templateKeys = [TEMPLATES_META_KEY, LEGACY_TEMPLATES_KEY, ...chunkKeys].filter(key => key in all);
+
+  const [bytesInUse, templateBytes] = await Promise.all([
+    syncBytesInUse(null),
+    templateKeys.length ? syncBytesInUse(templateKeys) : 0
+  ]);
+
+  return {
+    bytesInUse,
+    quotaBytes: chrome.storage.sync.QUOTA_BYTES,
+    templateBytes,
+    chunks: chunkKeys.length,
+    items: Object.keys(all).length,
+    maxItems: chrome.storage.sync.MAX_ITEMS,
+    templateItems: templateKeys.length
+  };
+}
+
+/**
+ * Formats a byte count for display.
+ * @param {number} bytes - The byte count
+ * @returns {string} The formatted size, e.g. "12.3 KB"
+ */
+function formatBytes(bytes) {
+  return bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(1)} KB`;
+}
+
+/**
+ * Checks whether a storage change touches the custom templates.
+ * @param {Object} changes - Changes from chrome.storage.onChanged
+ * @param {string} areaName - The storage area
+ * @returns {boolean} True if templates changed
+ */
+function isTemplateStorageChange(changes, areaName) {
+  return areaName === "sync" && Object.keys(changes).some(key =>
+    key === TEMPLATES_META_KEY || key === LEGACY_TEMPLATES_KEY || key.startsWith(TEMPLATE_CHUNK_PREFIX)
+  );
+}
@@ -0,0 +1,325 @@
+// sync-merge.js - conflict-safe syncing of custom templates, shared by the service worker, popup and options page.
+// chrome.storage.sync keeps whichever library was written last, so each device remembers the library it
+// last wrote and the last one it received from another device, and merges the two template by template.
+const TEMPLATE_META_FIELDS = ["updatedAt", "revision", "basedOn"];
+const SYNC_STATE_KEY = "template_sync_state";
+const CONFLICTS_KEY = "template_conflicts";
+// Deleted templates are remembered this long, so a device that was offline doesn't bring them back
+const TOMBSTONE_TTL_DAYS = 30;
+
+/**
+ * Checks whether a library entry records a deleted template.
+ * @param {Object} template - The library entry
+ * @returns {boolean} True for tombstones
+ */
+function isTombstone(template) {
+  return template.deleted === true;
+}
+
+/**
+ * Checks whether a library entry is missing or deleted.
+ * @param {Object} [template] - The library entry
+ * @returns {boolean} True if there is no live template
+ */
+function isDeletedTemplate(template) {
+  return !template || isTombstone(template);
+}
+
+/**
+ * Builds a comparison key of a template's fields, leaving out sync metadata.
+ * @param {Object} template - The template
+ * @returns {string} The key
+ */
+function getTemplateKey(template) {
+  const fields = Object.keys(template)
+    .filter(key => !TEMPLATE_META_FIELDS.includes(key))
+    .sort()
+    .map(key => [key, template[key]]);
+  return JSON.stringify(fields);
+}
+
+/**
+ * Checks whether two versions of a template are the same, whoever saved them and when.
+ * @param {Object} [a] - A version, or undefined if the template doesn't exist
+ * @param {Object} [b] - Another version
+ * @returns {boolean} True if both are missing or have the same fields
+ */
+function sameTemplate(a, b) {
+  if (!a || !b) return a === b;
+  return getTemplateKey(a) === getTemplateKey(b);
+}
+
+/**
+ * Gets a template version's revision number.
+ * @param {Object} [template] - The version
+ * @returns {number} The revision, 0 for missing templates and templates saved before revisions existed
+ */
+function getRevision(template) {
+  return (template && template.revision) || 0;
+}
+
+/**
+ * Checks whether two library entries are the same version, saved by the same edit.
+ * @param {Object} [a] - A version, or undefined if the template doesn't exist
+ * @param {Object} [b] - Another version
+ * @returns {boolean} True if both are missing, or have the same fields and metadata
+ */
+function sameVersion(a, b) {
+  return sameTemplate(a, b) && (!a || TEMPLATE_META_FIELDS.every(key => a[key] === b[key]));
+}
+
+/**
+ * Checks whether a version descends from another one through edits made on one device.
+ * @param {Object} version - The newer version
+ * @param {Object} ancestor - The version it may descend from
+ * @returns {boolean} True if `version` was edited from `ancestor`
+ */
+function isBasedOn(version, ancestor) {
+  return Boolean(ancestor.updatedAt) && version.basedOn === ancestor.updatedAt;
+}
+
+/**
+ * Marks a template as edited on this device. `basedOn` points at the last version of the template that other
+ * devices may have seen, so they can tell an edit of their version from a concurrent one.
+ * @param {Object} template - The edited template, without metadata
+ * @param {Object} [previous] - The version it replaces
+ * @param {Object} [common] - The template's version in the last library received from another device
+ * @returns {Object} The template with `updatedAt`, the next `revision` and, for edits, `basedOn`
+ */
+function stampTemplate(template, previous, common) {
+  const stamped = { ...template, updatedAt: Date.now(), revision: getRevision(previous) + 1 };
+  // Earlier edits made here since then haven't been seen elsewhere, so they keep their starting point
+  const basedOn = previous && (sameVersion(previous, common) ? previous.updatedAt : previous.basedOn || previous.updatedAt);
+  if (basedOn) {
+    stamped.basedOn = basedOn;
+  }
+  return stamped;
+}
+
+/**
+ * Creates the tombstone that replaces a deleted template.
+ * @param {Object} template - The deleted template
+ * @param {Object} [common] - The template's version in the last library received from another device
+ * @returns {Object} The tombstone ({ id, deleted, updatedAt, revision, basedOn })
+ */
+function createTombstone(template, common) {
+  return stampTemplate({ id: template.id, deleted: true }, template, common);
+}
+
+/**
+ * Applies an edited list of templates to the stored library. Changed and added templates get new metadata,
+ * removed ones are replaced by tombstones, and tombstones older than TOMBSTONE_TTL_DAYS are dropped.
+ * @param {Array<Object>} library - The stored library, with tombstones
+ * @param {Array<Object>} templates - The live templates to keep
+ * @param {Array<Object>} base - The last library received from another device
+ * @param {number} [now] - The current time in milliseconds
+ * @returns {Array<Object>} The library to store
+ */
+function reconcileLibrary(library, templates, base, now = Date.now()) {
+  const previousById = new Map(library.map(t => [t.id, t]));
+  const baseById = new Map(base.map(t => [t.id, t]));
+  const keptIds = new Set(templates.map(t => t.id));
+
+  const next = templates.map(template => {
+    // Callers may pass metadata from an older read; the stored version decides
+    const { updatedAt, revision, basedOn, ...fields } = template;
+    const previous = previousById.get(template.id);
+    return previous && sameTemplate(previous, fields)
+      ? previous
+      : stampTemplate(fields, previous, baseById.get(template.id));
+  });
+
+  library.filter(t => !keptIds.has(t.id)).forEach(t => {
+    if (!isTombstone(t)) {
+      next.push(createTombstone(t, baseById.get(t.id)));
+    } else if (now - t.updatedAt < TOMBSTONE_TTL_DAYS * 24 * 60 * 60 * 1000) {
+      next.push(t);
+    }
+  });
+  return next;
+}
+
+/**
+ * Checks whether two libraries hold the same versions of the same templates, in any order.
+ * @param {Array<Object>} a - A library, with tombstones
+ * @param {Array<Object>} b - Another library
+ * @returns {boolean} True if every template has the same version in both
+ */
+function sameLibrary(a, b) {
+  if (a.length !== b.length) return false;
+  const byId = new Map(b.map(t => [t.id, t]));
+  return a.every(t => byId.has(t.id) && sameVersion(t, byId.get(t.id)));
+}
+
+/**
+ * Merges this device's library with one written by another device, template by template.
+ * A template changed on one side only takes that side's version. A template changed differently on both
+ * sides is a conflict: the other device's version is kept until the user decides.
+ * @param {Array<Object>} base - The last library received from another device
+ * @param {Array<Object>} local - The library this device last wrote
+ * @param {Array<Object>} remote - The library now in sync storage
+ * @returns {{templates: Array<Object>, conflicts: Array<Object>}} The merged library, and conflicts as { id, local, remote }
+ */
+function mergeTemplateLibraries(base, local, remote) {
+  const index = library => new Map(library.map(t => [t.id, t]));
+  const [baseById, localById, remoteById] = [index(base), index(local), index(remote)];
+  const ids = new Set([...remote.map(t => t.id), ...local.map(t => t.id)]);
+
+  const templates = [];
+  const conflicts = [];
+  ids.forEach(id => {
+    const mine = localById.get(id);
+    const theirs = remoteById.get(id);
+    const original = baseById.get(id);
+
+    let merged = theirs;
+    if (!theirs) {
+      // Not even a tombstone there: the other device never had this template
+      merged = mine;
+    } else if (!mine || sameTemplate(mine, theirs) || isBasedOn(theirs, mine) || sameVersion(original, mine)) {
+      // Edited there only
+      merged = theirs;
+    } else if (isBasedOn(mine, theirs) || sameVersion(original, theirs) || getRevision(theirs) < getRevision(original)) {
+      // Edited here only, or what arrived is older than what both devices last had
+      merged = mine;
+    } else if (!(isTombstone(mine) && isTombstone(theirs))) {
+      conflicts.push({ id, local: mine, remote: theirs });
+    }
+    templates.push(merged);
+  });
+
+  return { templates, conflicts };
+}
+
+/**
+ * Reads what this device knows about the synced library.
+ * @returns {Promise<Object>} The state ({ base, local }), empty before the first save or merge
+ */
+function getSyncState() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get([SYNC_STATE_KEY], (result) => {
+      resolve(result[SYNC_STATE_KEY] || {});
+    });
+  });
+}
+
+/**
+ * Saves what this device knows about the synced library. It stays on this device, in local storage.
+ * @param {Object} state - The state ({ base, local })
+ * @returns {Promise<void>}
+ */
+function saveSyncState(state) {
+  return chrome.storage.local.set({ [SYNC_STATE_KEY]: state });
+}
+
+/**
+ * Merges a change of the synced library into this device's edits. Run by the service worker on every
+ * template storage change; changes written by this device itself are recognized and left alone.
+ * @returns {Promise<Array<Object>>} The conflicts found
+ */
+async function mergeTemplateChanges() {
+  let remote;
+  try {
+    remote = await readTemplateLibrary();
+  } catch (error) {
+    // Another device's save is still arriving; it is merged once its last chunk is in
+    if (error instanceof TemplateStorageError) return [];
+    throw error;
+  }
+
+  const state = await getSyncState();
+  if (!state.local) {
+    await saveSyncState({ base: remote, local: remote });
+    return [];
+  }
+  if (sameLibrary(state.local, remote)) {
+    return [];
+  }
+
+  const { templates, conflicts } = mergeTemplateLibraries(state.base || state.local, state.local, remote);
+  // Only write back what this device adds: rewriting what is already there would make devices that merge
+  // at the same time answer each other's writes
+  const changed = !sameLibrary(templates, remote);
+  const merged = changed ? templates : remote;
+  await saveSyncState({ base: remote, local: merged });
+  if (changed) {
+    await writeTemplateLibrary(merged);
+  }
+  // Another device's edits can be undone here too
+  await recordLibraryChanges(state.local, merged);
+  if (conflicts.length) {
+    await addTemplateConflicts(conflicts);
+  }
+  return conflicts;
+}
+
+/**
+ * Reads the stored conflicts as they were recorded.
+ * @returns {Promise<Array<Object>>} Conflicts ({ id, local, remote, detectedAt })
+ */
+function getStoredConflicts() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get([CONFLICTS_KEY], (result) => {
+      resolve(result[CONFLICTS_KEY] || []);
+    });
+  });
+}
+
+/**
+ * Records conflicts for the user to resolve in the popup, replacing older ones for the same templates.
+ * @param {Array<Object>} conflicts - Conflicts ({ id, local, remote }); a missing version means deleted
+ * @returns {Promise<void>}
+ */
+async function addTemplateConflicts(conflicts) {
+  const byId = new Map((await getStoredConflicts()).map(c => [c.id, c]));
+  conflicts.forEach(conflict => {
+    byId.set(conflict.id, { ...conflict, detectedAt: Date.now() });
+  });
+  await chrome.storage.local.set({ [CONFLICTS_KEY]: Array.from(byId.values()) });
+}
+
+/**
+ * Lists the conflicts still waiting for the user. Conflicts whose template changed again since,
+ * e.g. because they were resolved on another device, are dropped.
+ * @returns {Promise<Array<Object>>} Conflicts ({ id, local, remote, detectedAt })
+ */
+async function getTemplateConflicts() {
+  const stored = await getStoredConflicts();
+  if (!stored.length) return [];
+
+  const libraryById = new Map((await readTemplateLibrary()).map(t => [t.id, t]));
+  const conflicts = stored.filter(conflict => {
+    const current = libraryById.get(conflict.id);
+    return isDeletedTemplate(current) ? isDeletedTemplate(conflict.remote) : sameTemplate(current, conflict.remote);
+  });
+
+  if (conflicts.length !== stored.length) {
+    await chrome.storage.local.set({ [CONFLICTS_KEY]: conflicts });
+  }
+  return conflicts;
+}
+
+/**
+ * Resolves a conflict by keeping one of its versions.
+ * @param {string} id - The template id
+ * @param {boolean} keepLocal - True to keep this device's version, false to keep the other device's
+ * @returns {Promise<void>} Rejects with a TemplateStorageError when saving this device's version fails
+ */
+async function resolveTemplateConflict(id, keepLocal) {
+  const stored = await getStoredConflicts();
+  const conflict = stored.find(c => c.id === id);
+
+  if (conflict && keepLocal) {
+    const templates = await readCustomTemplates();
+    const index = templates.findIndex(t => t.id === id);
+    const kept = isDeletedTemplate(conflict.local) ? [] : [conflict.local];
+    if (index !== -1) {
+      templates.splice(index, 1, ...kept);
+    } else {
+      templates.push(...kept);
+    }
+    await writeCustomTemplates(templates);
+  }
+
+  await chrome.storage.local.set({ [CONFLICTS_KEY]: stored.filter(c => c.id !== id) });
+}
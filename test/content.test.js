@@ -0,0 +1,133 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { JSDOM } = require("jsdom");
+const { loadScripts } = require("./load-scripts");
+
+// The sanitizer parses HTML with the page's DOMParser
+const { window: dom } = new JSDOM();
+global.DOMParser = dom.DOMParser;
+global.Node = dom.Node;
+// content.js registers its message listener at load unless one is already installed
+global.window = { __template_insert_listener_installed: true };
+loadScripts("content.js");
+
+const date = new Date(2024, 0, 5, 14, 7, 9);
+
+test("formatDate fills in numeric tokens", () => {
+  assert.equal(formatDate(date, "YYYY-MM-DD HH:mm:ss"), "2024-01-05 14:07:09");
+  assert.equal(formatDate(date, "YY/M/D H"), "24/1/5 14");
+});
+
+test("formatDate uses a 12-hour clock for hh, h and A", () => {
+  assert.equal(formatDate(date, "hh:mm A"), "02:07 PM");
+  assert.equal(formatDate(new Date(2024, 0, 5, 0, 30), "h:mm A"), "12:30 AM");
+});
+
+test("formatDate outputs bracketed text literally", () => {
+  assert.equal(formatDate(date, "[Today is] YYYY [at] HH[h]"), "Today is 2024 at 14h");
+});
+
+test("expandPlaceholders removes the cursor marker and returns its offset", async () => {
+  assert.deepEqual(await expandPlaceholders("Hi {{cursor}}there", {}), { text: "Hi there", cursor: 3 });
+});
+
+test("expandPlaceholders puts the caret at the end without a cursor marker", async () => {
+  assert.deepEqual(await expandPlaceholders("Hi there", {}), { text: "Hi there", cursor: 8 });
+});
+
+test("expandPlaceholders keeps only the first cursor marker", async () => {
+  const { text, cursor } = await expandPlaceholders("a{{cursor}}b{{ cursor }}c", {});
+  assert.equal(text, "abc");
+  assert.equal(cursor, 1);
+});
+
+test("expandPlaceholders fills in field values and leaves unknown placeholders", async () => {
+  const { text } = await expandPlaceholders("Dear {{customer_name}}, {{other}} {{customer_name}}", {
+    fields: { customer_name: "Ada" }
+  });
+  assert.equal(text, "Dear Ada, {{other}} Ada");
+});
+
+test("expandPlaceholders formats dates with the given pattern", async () => {
+  const { text } = await expandPlaceholders("{{date:YYYY}}", {});
+  assert.equal(text, String(new Date().getFullYear()));
+});
+
+test("expandPlaceholders escapes values but not transform markup", async () => {
+  const { text } = await expandPlaceholders("{{name}} {{selection:code}}", {
+    fields: { name: "<b>" },
+    selectedText: "a < b",
+    escape: escapeHtml
+  });
+  assert.equal(text, "&lt;b&gt; <pre><code>a &lt; b</code></pre>");
+});
+
+test("expandPlaceholders applies selection transforms", async () => {
+  const { text } = await expandPlaceholders('{{selection:quote}}\n{{selection:prefix="- "}}', {
+    selectedText: "one\ntwo"
+  });
+  assert.equal(text, "> one\n> two\n- one\n- two");
+});
+
+test("collectFields reads text fields, defaults and dropdowns", () => {
+  assert.deepEqual(collectFields("{{customer_name}} {{greeting:Hello there}} {{tone: Formal | Casual }}"), [
+    { name: "customer_name", label: "Customer name", options: null, defaultValue: "" },
+    { name: "greeting", label: "Greeting", options: null, defaultValue: "Hello there" },
+    { name: "tone", label: "Tone", options: ["Formal", "Casual"], defaultValue: "Formal" }
+  ]);
+});
+
+test("collectFields skips the cursor and automatic placeholders", () => {
+  assert.deepEqual(collectFields("{{cursor}} {{date:YYYY}} {{url}} {{selection:quote}}"), []);
+});
+
+test("collectFields collects a repeated name once, with its first default", () => {
+  const fields = collectFields("{{ticket-id:123}} and {{ticket-id:456}}");
+  assert.equal(fields.length, 1);
+  assert.equal(fields[0].label, "Ticket id");
+  assert.equal(fields[0].defaultValue, "123");
+});
+
+test("sanitizeHtml keeps allowlisted formatting", () => {
+  assert.equal(sanitizeHtml('<p><strong>Hi</strong> <a href="https://example.com" title="x">there</a></p>'),
+    '<p><strong>Hi</strong> <a href="https://example.com" title="x" rel="noopener noreferrer">there</a></p>');
+});
+
+test("sanitizeHtml removes javascript: and data: URLs", () => {
+  assert.equal(sanitizeHtml('<a href=" JavaScript:alert(1)">x</a><img src="data:text/html,x" alt="y">'),
+    '<a rel="noopener noreferrer">x</a><img alt="y">');
+});
+
+test("sanitizeHtml removes event handlers and other attributes", () => {
+  assert.equal(sanitizeHtml('<p onclick="alert(1)" style="color:red">a</p><img src="/a.png" onerror="alert(1)">'),
+    '<p>a</p><img src="/a.png">');
+});
+
+test("sanitizeHtml drops scripts with their content and unwraps unknown elements", () => {
+  assert.equal(sanitizeHtml('<script>alert(1)</script><custom-tag><em>kept</em></custom-tag><svg><a>x</a></svg>'),
+    "<em>kept</em>");
+});
+
+test("markdownToHtml renders blocks and inline formatting", () => {
+  assert.equal(markdownToHtml("# Title\n\n**bold** and _it_\nnext\n\n- one\n- `two`\n\n1. first\n> quoted"),
+    "<h1>Title</h1><p><strong>bold</strong> and <em>it</em><br>next</p>" +
+    "<ul><li>one</li><li><code>two</code></li></ul><ol><li>first</li></ol><blockquote><p>quoted</p></blockquote>");
+});
+
+test("markdownToHtml escapes HTML in the source and in code blocks", () => {
+  assert.equal(markdownToHtml("<b>x</b>\n```\n<i>\n```"), "<p>&lt;b&gt;x&lt;/b&gt;</p><pre><code>&lt;i&gt;</code></pre>");
+});
+
+test("Markdown links with javascript: URLs lose their href once sanitized", () => {
+  assert.equal(formatToHtml("[x](javascript:run) ![y](JAVASCRIPT:run)", FORMAT_MARKDOWN),
+    '<p><a rel="noopener noreferrer">x</a> <img alt="y"></p>');
+});
+
+test("isTemplateChange notices template and source changes only", () => {
+  assert.equal(isTemplateChange({ templates_meta: {}, templates_chunk_0: {} }, "sync"), true);
+  assert.equal(isTemplateChange({ template_sources: {} }, "sync"), true);
+  assert.equal(isTemplateChange({ template_source_cache: {} }, "local"), true);
+  assert.equal(isTemplateChange({ template_usage: {} }, "local"), false);
+  assert.equal(isTemplateChange({ template_field_values: {} }, "local"), false);
+  assert.equal(isTemplateChange({ templates_meta: {} }, "local"), false);
+});
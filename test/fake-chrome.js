@@ -0,0 +1,58 @@
+// test/fake-chrome.js - in-memory chrome.storage for tests of the scripts that read and write it.
+const SYNC_QUOTAS = { QUOTA_BYTES: 102400, QUOTA_BYTES_PER_ITEM: 8192, MAX_ITEMS: 512 };
+
+/**
+ * Creates one storage area.
+ * @param {Object} quotas - Quota constants of the area
+ * @returns {Object} The area, with its items in `items` and the keys of every set() call in `writes`
+ */
+function createArea(quotas) {
+  const area = {
+    ...quotas,
+    items: {},
+    writes: [],
+    get(keys, callback) {
+      const names = keys === null ? Object.keys(area.items) : [].concat(keys);
+      const result = {};
+      names.filter(key => key in area.items).forEach(key => {
+        result[key] = structuredClone(area.items[key]);
+      });
+      if (callback) callback(result);
+      return Promise.resolve(result);
+    },
+    set(items, callback) {
+      area.writes.push(Object.keys(items));
+      Object.assign(area.items, structuredClone(items));
+      if (callback) callback();
+      return Promise.resolve();
+    },
+    remove(keys, callback) {
+      [].concat(keys).forEach(key => delete area.items[key]);
+      if (callback) callback();
+      return Promise.resolve();
+    },
+    getBytesInUse(keys, callback) {
+      const names = keys === null ? Object.keys(area.items) : [].concat(keys);
+      const bytes = names
+        .filter(key => key in area.items)
+        .reduce((sum, key) => sum + Buffer.byteLength(key) + Buffer.byteLength(JSON.stringify(area.items[key])), 0);
+      if (callback) callback(bytes);
+      return Promise.resolve(bytes);
+    }
+  };
+  return area;
+}
+
+/**
+ * Installs a fresh global `chrome` with empty sync and local storage.
+ * @returns {Object} The fake
+ */
+function installFakeChrome() {
+  global.chrome = {
+    runtime: { lastError: null },
+    storage: { sync: createArea(SYNC_QUOTAS), local: createArea({}) }
+  };
+  return global.chrome;
+}
+
+module.exports = { installFakeChrome };
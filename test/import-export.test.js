@@ -0,0 +1,37 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadScripts } = require("./load-scripts");
+
+loadScripts("url-patterns.js", "schema.js", "options/import-export.js");
+
+test("parseCsv reads quoted fields with commas, escaped quotes and line breaks", () => {
+  const rows = parseCsv('name,content\r\n"Hello, world","Say ""hi""\nthen leave"\n');
+  assert.deepEqual(rows, [
+    ["name", "content"],
+    ["Hello, world", 'Say "hi"\nthen leave']
+  ]);
+});
+
+test("parseCsv skips empty lines and keeps empty fields", () => {
+  assert.deepEqual(parseCsv("a,,c\n\n\nd,e,\n"), [["a", "", "c"], ["d", "e", ""]]);
+});
+
+test("toCsv output parses back to the same rows", () => {
+  const rows = [["id", "content"], ["1", 'Line "one",\r\nline two'], ["2", "plain"]];
+  assert.deepEqual(parseCsv(toCsv(rows)), rows);
+});
+
+test("parseImportFile reads a template CSV and drops empty optional fields", () => {
+  const { templates, issues } = parseImportFile("t.csv", 'id,name,content,abbreviation\r\nsig,Signature,"Best,\nMe",\r\n');
+  assert.deepEqual(issues, []);
+  assert.deepEqual(templates, [{ template: { id: "sig", name: "Signature", content: "Best,\nMe" }, needsId: false }]);
+});
+
+test("parseImportFile reads a TextExpander CSV without a header", () => {
+  const { templates } = parseImportFile("snippets.csv", ';sig,"Thanks, Me",Signature\n');
+  assert.equal(templates.length, 1);
+  assert.equal(templates[0].needsId, true);
+  assert.equal(templates[0].template.name, "Signature");
+  assert.equal(templates[0].template.content, "Thanks, Me");
+  assert.equal(templates[0].template.abbreviation, ";sig");
+});
@@ -0,0 +1,41 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadScripts } = require("./load-scripts");
+
+loadScripts("includes.js");
+
+test("findIncludeError accepts includes that resolve", () => {
+  const templates = [
+    { id: "reply", name: "Reply", content: "Hi,\n{{> sig}}" },
+    { id: "sig", name: "Signature", content: "Thanks, {{> name}}" },
+    { id: "name", name: "Name", content: "Me" }
+  ];
+  assert.equal(findIncludeError(templates[0], templates), null);
+});
+
+test("findIncludeError reports a template including itself", () => {
+  const templates = [{ id: "a", name: "A", content: "x {{> a}}" }];
+  assert.equal(findIncludeError(templates[0], templates), "has a circular include: a → a");
+});
+
+test("findIncludeError reports a cycle through other templates", () => {
+  const templates = [
+    { id: "a", name: "A", content: "{{> b}}" },
+    { id: "b", name: "B", content: "{{> c}}" },
+    { id: "c", name: "C", content: "{{>a}}" }
+  ];
+  assert.equal(findIncludeError(templates[0], templates), "has a circular include: a → b → c → a");
+});
+
+test("findIncludeError reports a cycle in the values of a form-fill template", () => {
+  const templates = [
+    { id: "form", name: "Form", fill: [{ name: "body", value: "{{> loop}}" }] },
+    { id: "loop", name: "Loop", content: "{{> loop}}" }
+  ];
+  assert.equal(findIncludeError(templates[0], templates), "has a circular include: form → loop → loop");
+});
+
+test("findIncludeError reports a missing template", () => {
+  const templates = [{ id: "a", name: "A", content: "{{> gone}}" }];
+  assert.equal(findIncludeError(templates[0], templates), "includes \"gone\", but no template has that id");
+});
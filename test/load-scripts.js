@@ -0,0 +1,18 @@
+// test/load-scripts.js - loads the extension's plain scripts into the test process, the way the browser shares
+// their top-level declarations. node --test runs each test file in its own process, so each file loads its own.
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+/**
+ * Runs extension scripts in the global scope of this process.
+ * @param {...string} files - Paths relative to the repository root, in load order
+ */
+function loadScripts(...files) {
+  files.forEach(file => {
+    const filename = path.join(__dirname, "..", file);
+    vm.runInThisContext(fs.readFileSync(filename, "utf8"), { filename });
+  });
+}
+
+module.exports = { loadScripts };
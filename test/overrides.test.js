@@ -0,0 +1,72 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { installFakeChrome } = require("./fake-chrome");
+const { loadScripts } = require("./load-scripts");
+
+// The service worker registers its listeners when it loads; those it doesn't need here do nothing
+const chrome = installFakeChrome();
+const ignoreListeners = target => new Proxy(target, {
+  get: (object, key) => (key in object ? object[key] : { addListener() {} })
+});
+["runtime", "storage", "alarms", "tabs", "windows", "contextMenus", "commands"].forEach(api => {
+  chrome[api] = ignoreListeners(chrome[api] || {});
+});
+global.importScripts = loadScripts;
+loadScripts("background.js");
+
+const upstream = { id: "greeting", name: "Greeting", content: "Hello", category: "Support" };
+
+test("fingerprintTemplate ignores the id, sync metadata and field order", () => {
+  const reordered = { content: "Hello", category: "Support", name: "Greeting", id: "other", updatedAt: 5, revision: 2 };
+  assert.match(fingerprintTemplate(upstream), /^[0-9a-f]{8}$/);
+  assert.equal(fingerprintTemplate(reordered), fingerprintTemplate(upstream));
+});
+
+test("fingerprintTemplate changes when a field changes", () => {
+  assert.notEqual(fingerprintTemplate({ ...upstream, content: "Hello!" }), fingerprintTemplate(upstream));
+  assert.notEqual(fingerprintTemplate({ ...upstream, format: "markdown" }), fingerprintTemplate(upstream));
+});
+
+test("an override remembers the default it was made from", () => {
+  const override = createOverride(upstream, { name: "Greeting", content: "Hi there" });
+  assert.equal(override.id, "greeting");
+  assert.equal(override.overrides, fingerprintTemplate(upstream));
+  assert.equal(isOverride(override), true);
+  assert.equal(isUpstreamChanged(override, upstream), false);
+});
+
+test("isUpstreamChanged notices when the default changes after the override", () => {
+  const override = createOverride(upstream, { name: "Greeting", content: "Hi there" });
+  assert.equal(isUpstreamChanged(override, { ...upstream, content: "Hello again" }), true);
+  // A default that was removed has nothing newer to offer
+  assert.equal(isUpstreamChanged(override, undefined), false);
+});
+
+test("getChangedFields lists changed fields other than the text", () => {
+  const override = createOverride(upstream, { name: "Hi", content: "Changed", abbreviation: ";hi" });
+  assert.deepEqual(getChangedFields(upstream, override), ["name", "category", "abbreviation"]);
+});
+
+test("mergeTemplates puts an override in the place of its default", () => {
+  const other = { id: "other", name: "Other", content: "x" };
+  const override = createOverride(upstream, { name: "Greeting", content: "Hi there" });
+  const custom = { id: "mine", name: "Mine", content: "y" };
+  assert.deepEqual(mergeTemplates([custom, override], [upstream, other]), [override, other, custom]);
+});
+
+test("mergeTemplates keeps a default over a custom template with its id that isn't an override", () => {
+  const clash = { id: "greeting", name: "Clash", content: "z" };
+  assert.deepEqual(mergeTemplates([clash], [upstream]), [upstream]);
+});
+
+test("mergeTemplates keeps the first of duplicate defaults and custom templates", () => {
+  const duplicate = { ...upstream, content: "Second" };
+  const mine = { id: "mine", name: "Mine", content: "1" };
+  assert.deepEqual(mergeTemplates([mine, { ...mine, content: "2" }], [upstream, duplicate]), [upstream, mine]);
+});
+
+test("mergeTemplates uses an outdated override until it is reset", () => {
+  const override = createOverride(upstream, { name: "Greeting", content: "Hi there" });
+  const changed = { ...upstream, content: "Hello again" };
+  assert.deepEqual(mergeTemplates([override], [changed]), [override]);
+});
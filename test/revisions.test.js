@@ -0,0 +1,86 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { installFakeChrome } = require("./fake-chrome");
+const { loadScripts } = require("./load-scripts");
+
+installFakeChrome();
+loadScripts("storage.js", "sync-merge.js", "revisions.js");
+
+test.beforeEach(() => installFakeChrome());
+
+const DAY = 24 * 60 * 60 * 1000;
+const original = { id: "a", name: "A", content: "one", updatedAt: 100, revision: 1 };
+const edited = { ...original, content: "two", updatedAt: 200, revision: 2, basedOn: 100 };
+const removed = { id: "a", deleted: true, updatedAt: 300, revision: 2, basedOn: 100 };
+
+test("recordLibraryChanges keeps the version an edit replaces", async () => {
+  await recordLibraryChanges([original], [edited]);
+  const history = await getRevisionHistory();
+  assert.deepEqual(history.a.map(revision => revision.template), [original]);
+  assert.deepEqual(await getTrash(), []);
+});
+
+test("recordLibraryChanges ignores unchanged templates and metadata-only changes", async () => {
+  await recordLibraryChanges([original], [original]);
+  await recordLibraryChanges([original], [{ ...original, updatedAt: 150, revision: 2 }]);
+  assert.deepEqual(await getRevisionHistory(), {});
+});
+
+test("recordLibraryChanges ignores templates added or removed again", async () => {
+  await recordLibraryChanges([], [original]);
+  await recordLibraryChanges([removed], [{ ...removed, updatedAt: 400 }]);
+  assert.deepEqual(await getRevisionHistory(), {});
+  assert.deepEqual(await getTrash(), []);
+});
+
+test("recordLibraryChanges moves removed templates to the trash and keeps their history", async () => {
+  await recordLibraryChanges([original], [edited]);
+  await recordLibraryChanges([edited], [removed]);
+  const trash = await getTrash();
+  assert.deepEqual(trash.map(entry => entry.template), [edited]);
+  assert.deepEqual((await getRevisionHistory()).a.map(revision => revision.template), [original]);
+});
+
+test("recordLibraryChanges keeps the newest revisions per template", async () => {
+  let previous = original;
+  for (let revision = 2; revision <= MAX_REVISIONS_PER_TEMPLATE + 3; revision++) {
+    const next = { ...previous, content: `v${revision}`, revision };
+    await recordLibraryChanges([previous], [next]);
+    previous = next;
+  }
+  const history = (await getRevisionHistory()).a;
+  assert.equal(history.length, MAX_REVISIONS_PER_TEMPLATE);
+  assert.equal(history[0].template.content, `v${MAX_REVISIONS_PER_TEMPLATE + 2}`);
+});
+
+test("recordLibraryChanges empties expired trash with the history of its templates", async () => {
+  const old = { id: "old", name: "Old", content: "x" };
+  await chrome.storage.local.set({
+    [TRASH_KEY]: [{ template: old, deletedAt: Date.now() - (TRASH_RETENTION_DAYS + 1) * DAY }],
+    [REVISIONS_KEY]: { old: [{ template: old, replacedAt: 0 }] }
+  });
+  await recordLibraryChanges([original], [edited]);
+  assert.deepEqual(await getTrash(), []);
+  assert.deepEqual(Object.keys(await getRevisionHistory()), ["a"]);
+});
+
+test("restoreRevision brings back an earlier version and keeps the one it replaces", async () => {
+  await writeCustomTemplates([{ id: "a", name: "A", content: "one" }]);
+  await writeCustomTemplates([{ id: "a", name: "A", content: "two" }]);
+
+  await restoreRevision("a", 0);
+  const [restored] = await readCustomTemplates();
+  assert.equal(restored.content, "one");
+  assert.equal(restored.revision, 3);
+  const history = (await getRevisionHistory()).a;
+  assert.deepEqual(history.map(revision => revision.template.content), ["two", "one"]);
+});
+
+test("restoreRevision refuses versions that no longer exist", async () => {
+  await writeCustomTemplates([{ id: "a", name: "A", content: "one" }]);
+  await assert.rejects(restoreRevision("a", 0), TemplateStorageError);
+
+  await writeCustomTemplates([{ id: "a", name: "A", content: "two" }]);
+  await writeCustomTemplates([]);
+  await assert.rejects(restoreRevision("a", 0), /can no longer be restored/);
+});
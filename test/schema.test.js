@@ -0,0 +1,88 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadScripts } = require("./load-scripts");
+
+loadScripts("url-patterns.js", "schema.js");
+
+const hello = { id: "hello", name: "Hello", content: "Hello {{name}}" };
+
+test("validateTemplateDocument accepts a plain array of templates", () => {
+  const result = validateTemplateDocument([hello]);
+  assert.equal(result.fatal, null);
+  assert.deepEqual(result.templates, [hello]);
+  assert.deepEqual(result.issues, []);
+});
+
+test("validateTemplateDocument accepts a versioned document", () => {
+  const result = validateTemplateDocument({ version: TEMPLATE_SCHEMA_VERSION, templates: [hello] });
+  assert.equal(result.fatal, null);
+  assert.deepEqual(result.templates, [hello]);
+});
+
+test("validateTemplateDocument refuses other versions and shapes", () => {
+  assert.match(validateTemplateDocument({ version: 2, templates: [] }).fatal, /Unsupported schema version 2/);
+  assert.match(validateTemplateDocument({ templates: [] }).fatal, /Unsupported schema version undefined/);
+  assert.match(validateTemplateDocument({ version: 1 }).fatal, /^Invalid JSON/);
+  assert.match(validateTemplateDocument(null).fatal, /^Invalid JSON/);
+});
+
+test("validateTemplateDocument leaves out invalid templates and says why", () => {
+  const result = validateTemplateDocument([
+    hello,
+    { id: "", name: "Empty id", content: "x" },
+    { id: "no-content", name: "No content" },
+    { id: "bad-format", name: "Bad", content: "x", format: "rtf" },
+    "not a template"
+  ]);
+  assert.deepEqual(result.templates, [hello]);
+  assert.deepEqual(result.issues.map(({ index, id, level, message }) => [index, id, level, message]), [
+    [1, "", "error", "\"id\" must not be empty"],
+    [2, "no-content", "error", "\"content\" is required"],
+    [3, "bad-format", "error", "\"format\" must be one of text, markdown, html"],
+    [4, null, "error", "must be an object"]
+  ]);
+});
+
+test("validateTemplateDocument reports wrong types", () => {
+  const { issues } = validateTemplateDocument([{ id: "a", name: "A", content: 1, include: "*://*/*" }]);
+  assert.deepEqual(issues.map(issue => issue.message), [
+    "\"content\" must be a string, got number",
+    "\"include\" must be an array, got string"
+  ]);
+});
+
+test("validateTemplateDocument keeps the first of two templates with the same id", () => {
+  const result = validateTemplateDocument([hello, { ...hello, name: "Again" }]);
+  assert.deepEqual(result.templates, [hello]);
+  assert.deepEqual(result.issues, [
+    { index: 1, id: "hello", level: "error", message: "duplicate id, already used by template #0" }
+  ]);
+});
+
+test("validateTemplateDocument warns about unknown fields, placeholders and repeated abbreviations", () => {
+  const result = validateTemplateDocument([
+    { id: "a", name: "A", content: "{{ok}} {{bad name}} {{open", abbreviation: ";x", colour: "red" },
+    { id: "b", name: "B", content: "b", abbreviation: ";x" }
+  ]);
+  assert.equal(result.templates.length, 2);
+  assert.deepEqual(result.issues.map(issue => [issue.index, issue.level, issue.message]), [
+    [0, "warning", "unknown field \"colour\""],
+    [0, "warning", "malformed placeholder {{bad name}}"],
+    [0, "warning", "unclosed placeholder: \"{{\" without matching \"}}\""],
+    [1, "warning", "duplicate abbreviation \";x\", already used by template #0"]
+  ]);
+});
+
+test("validateTemplateDocument checks the fields of form-fill templates", () => {
+  const fill = { id: "f", name: "Form", fill: [{ name: "email", value: "a@example.com" }] };
+  assert.deepEqual(validateTemplateDocument([fill]).templates, [fill]);
+
+  const { issues } = validateTemplateDocument([
+    { id: "g", name: "Two targets", fill: [{ name: "email", label: "Email", value: "x" }] },
+    { id: "h", name: "Empty", fill: [] }
+  ]);
+  assert.deepEqual(issues.map(issue => issue.message), [
+    "\"fill\" field #1 must have exactly one of selector, name, label",
+    "\"fill\" must list at least one field"
+  ]);
+});
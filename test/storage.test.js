@@ -0,0 +1,63 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { installFakeChrome } = require("./fake-chrome");
+const { loadScripts } = require("./load-scripts");
+
+installFakeChrome();
+loadScripts("storage.js", "sync-merge.js", "revisions.js");
+
+test.beforeEach(() => installFakeChrome());
+
+// Enough templates for the library to span several chunks
+const library = Array.from({ length: 6 }, (_, index) => ({
+  id: `t${index}`,
+  name: `Template ${index}`,
+  content: `${index}`.repeat(3000)
+}));
+
+test("writeTemplateLibrary splits the library into chunks that read back as it was", async () => {
+  await writeTemplateLibrary(library);
+  assert.ok(chrome.storage.sync.items[TEMPLATES_META_KEY].chunks > 1);
+  assert.deepEqual(await readTemplateLibrary(), library);
+});
+
+test("writeTemplateLibrary only writes the chunks that changed", async () => {
+  await writeTemplateLibrary(library);
+  const { chunks } = chrome.storage.sync.items[TEMPLATES_META_KEY];
+  chrome.storage.sync.writes = [];
+
+  const last = library[library.length - 1];
+  const edited = [...library.slice(0, -1), { ...last, content: `${last.content.slice(0, -1)}!` }];
+  await writeTemplateLibrary(edited);
+  assert.deepEqual(chrome.storage.sync.writes, [[TEMPLATES_META_KEY, `${TEMPLATE_CHUNK_PREFIX}${chunks - 1}`]]);
+  assert.deepEqual(await readTemplateLibrary(), edited);
+
+  chrome.storage.sync.writes = [];
+  await writeTemplateLibrary(edited);
+  assert.deepEqual(chrome.storage.sync.writes, [[TEMPLATES_META_KEY]]);
+});
+
+test("writeTemplateLibrary removes chunks left over from a larger library", async () => {
+  await writeTemplateLibrary(library);
+  await writeTemplateLibrary(library.slice(0, 1));
+  const chunkKeys = Object.keys(chrome.storage.sync.items).filter(key => key.startsWith(TEMPLATE_CHUNK_PREFIX));
+  assert.deepEqual(chunkKeys, [`${TEMPLATE_CHUNK_PREFIX}0`]);
+  assert.deepEqual(await readTemplateLibrary(), library.slice(0, 1));
+});
+
+test("writeTemplateLibrary refuses libraries that need more sync items than are left", async () => {
+  await writeTemplateLibrary(library);
+  const { chunks } = chrome.storage.sync.items[TEMPLATES_META_KEY];
+  // Other settings take the items the library frees when it shrinks, leaving one too few to grow it back
+  chrome.storage.sync.MAX_ITEMS = chunks + 2;
+  await writeTemplateLibrary(library.slice(0, 1));
+  Object.assign(chrome.storage.sync.items, { setting_a: 1, setting_b: 2 });
+
+  await assert.rejects(writeTemplateLibrary(library), error => {
+    assert.ok(error instanceof TemplateStorageError);
+    assert.equal(error.message,
+      `Templates need ${chunks + 1} sync storage items, but only ${chunks} are available. ` +
+      "Shorten or remove some templates.");
+    return true;
+  });
+});
@@ -0,0 +1,114 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { installFakeChrome } = require("./fake-chrome");
+const { loadScripts } = require("./load-scripts");
+
+installFakeChrome();
+loadScripts("storage.js", "sync-merge.js", "revisions.js");
+
+// The version both devices last had, and edits of it made on either device
+const original = { id: "a", name: "A", content: "one", updatedAt: 100, revision: 1 };
+const editedHere = { ...original, content: "mine", updatedAt: 200, revision: 2, basedOn: 100 };
+const editedThere = { ...original, content: "theirs", updatedAt: 210, revision: 2, basedOn: 100 };
+const deletedHere = { id: "a", deleted: true, updatedAt: 220, revision: 2, basedOn: 100 };
+const deletedThere = { id: "a", deleted: true, updatedAt: 230, revision: 2, basedOn: 100 };
+
+test("a template edited on the other device only takes their version", () => {
+  const { templates, conflicts } = mergeTemplateLibraries([original], [original], [editedThere]);
+  assert.deepEqual(templates, [editedThere]);
+  assert.deepEqual(conflicts, []);
+});
+
+test("a template edited on this device only keeps this version", () => {
+  const { templates, conflicts } = mergeTemplateLibraries([original], [editedHere], [original]);
+  assert.deepEqual(templates, [editedHere]);
+  assert.deepEqual(conflicts, []);
+});
+
+test("an edit of the other device's latest version is not a conflict", () => {
+  const editedAgain = { ...editedThere, content: "mine again", updatedAt: 300, revision: 3, basedOn: 210 };
+  const { templates, conflicts } = mergeTemplateLibraries([editedThere], [editedAgain], [editedThere]);
+  assert.deepEqual(templates, [editedAgain]);
+  assert.deepEqual(conflicts, []);
+});
+
+test("a template edited differently on both devices is a conflict, keeping their version for now", () => {
+  const { templates, conflicts } = mergeTemplateLibraries([original], [editedHere], [editedThere]);
+  assert.deepEqual(templates, [editedThere]);
+  assert.deepEqual(conflicts, [{ id: "a", local: editedHere, remote: editedThere }]);
+});
+
+test("the same edit made on both devices is not a conflict", () => {
+  const sameEdit = { ...editedThere, content: "mine" };
+  const { conflicts } = mergeTemplateLibraries([original], [editedHere], [sameEdit]);
+  assert.deepEqual(conflicts, []);
+});
+
+test("a template deleted here and edited there is a conflict", () => {
+  const { templates, conflicts } = mergeTemplateLibraries([original], [deletedHere], [editedThere]);
+  assert.deepEqual(templates, [editedThere]);
+  assert.deepEqual(conflicts, [{ id: "a", local: deletedHere, remote: editedThere }]);
+});
+
+test("a template edited here and deleted there is a conflict", () => {
+  const { templates, conflicts } = mergeTemplateLibraries([original], [editedHere], [deletedThere]);
+  assert.deepEqual(templates, [deletedThere]);
+  assert.deepEqual(conflicts, [{ id: "a", local: editedHere, remote: deletedThere }]);
+});
+
+test("a template deleted on one device and left alone on the other stays deleted", () => {
+  assert.deepEqual(mergeTemplateLibraries([original], [deletedHere], [original]), { templates: [deletedHere], conflicts: [] });
+  assert.deepEqual(mergeTemplateLibraries([original], [original], [deletedThere]), { templates: [deletedThere], conflicts: [] });
+});
+
+test("a template deleted on both devices is not a conflict", () => {
+  const { templates, conflicts } = mergeTemplateLibraries([original], [deletedHere], [deletedThere]);
+  assert.deepEqual(templates, [deletedThere]);
+  assert.deepEqual(conflicts, []);
+});
+
+test("a template created here is kept when the other device never had it", () => {
+  const created = { id: "b", name: "B", content: "new", updatedAt: 250, revision: 1 };
+  const { templates, conflicts } = mergeTemplateLibraries([original], [original, created], [original]);
+  assert.deepEqual(templates, [original, created]);
+  assert.deepEqual(conflicts, []);
+});
+
+test("reconcileLibrary replaces a removed template with a tombstone based on it", () => {
+  const next = reconcileLibrary([original], [], [original]);
+  assert.equal(next.length, 1);
+  assert.equal(next[0].id, "a");
+  assert.equal(next[0].deleted, true);
+  assert.equal(next[0].revision, 2);
+  assert.equal(next[0].basedOn, 100);
+});
+
+test("reconcileLibrary drops tombstones older than the retention period", () => {
+  const now = deletedHere.updatedAt + TOMBSTONE_TTL_DAYS * 24 * 60 * 60 * 1000;
+  assert.deepEqual(reconcileLibrary([deletedHere], [], [], now), []);
+  assert.deepEqual(reconcileLibrary([deletedHere], [], [], now - 1), [deletedHere]);
+});
+
+test("mergeTemplateChanges doesn't write back a library that already holds this device's edits", async () => {
+  const chrome = installFakeChrome();
+  const created = { id: "b", name: "B", content: "new", updatedAt: 250, revision: 1 };
+  // This device edited "a", and the other device added "b" on top of that edit
+  await saveSyncState({ base: [original], local: [editedHere] });
+  await writeTemplateLibrary([created, editedHere]);
+  chrome.storage.sync.writes = [];
+
+  assert.deepEqual(await mergeTemplateChanges(), []);
+  assert.deepEqual(chrome.storage.sync.writes, []);
+  assert.deepEqual((await getSyncState()).local, [created, editedHere]);
+});
+
+test("mergeTemplateChanges writes back this device's edits the other library lacks", async () => {
+  const chrome = installFakeChrome();
+  await saveSyncState({ base: [original], local: [editedHere] });
+  await writeTemplateLibrary([original]);
+  chrome.storage.sync.writes = [];
+
+  assert.deepEqual(await mergeTemplateChanges(), []);
+  assert.equal(chrome.storage.sync.writes.length, 1);
+  assert.deepEqual(await readTemplateLibrary(), [editedHere]);
+});
@@ -0,0 +1,78 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadScripts } = require("./load-scripts");
+
+loadScripts("url-patterns.js");
+
+test("matchesUrlPattern matches a * scheme against http and https only", () => {
+  assert.equal(matchesUrlPattern("*://example.com/*", "http://example.com/"), true);
+  assert.equal(matchesUrlPattern("*://example.com/*", "https://example.com/a"), true);
+  assert.equal(matchesUrlPattern("*://example.com/*", "ftp://example.com/a"), false);
+  assert.equal(matchesUrlPattern("https://example.com/*", "http://example.com/a"), false);
+});
+
+test("matchesUrlPattern matches a *. host against the domain and its subdomains", () => {
+  assert.equal(matchesUrlPattern("*://*.zendesk.com/*", "https://zendesk.com/"), true);
+  assert.equal(matchesUrlPattern("*://*.zendesk.com/*", "https://acme.support.zendesk.com/agent"), true);
+  assert.equal(matchesUrlPattern("*://*.zendesk.com/*", "https://notzendesk.com/"), false);
+  assert.equal(matchesUrlPattern("*://*.zendesk.com/*", "https://zendesk.com.evil.test/"), false);
+});
+
+test("matchesUrlPattern compares hosts without case and ignores the port", () => {
+  assert.equal(matchesUrlPattern("*://Example.COM/*", "https://example.com/"), true);
+  assert.equal(matchesUrlPattern("*://localhost/*", "http://localhost:3000/app"), true);
+  assert.equal(matchesUrlPattern("*://*/*", "https://anything.test/x"), true);
+});
+
+test("matchesUrlPattern matches the path and query but not the fragment", () => {
+  assert.equal(matchesUrlPattern("*://example.com/tickets/*", "https://example.com/tickets/42?tab=reply#top"), true);
+  assert.equal(matchesUrlPattern("*://example.com/tickets/*", "https://example.com/ticketsx"), false);
+  assert.equal(matchesUrlPattern("*://example.com/*?tab=reply", "https://example.com/t?tab=reply#top"), true);
+  assert.equal(matchesUrlPattern("*://example.com/", "https://example.com/a"), false);
+});
+
+test("matchesUrlPattern treats regular expression characters in the path literally", () => {
+  assert.equal(matchesUrlPattern("*://example.com/a.b/*", "https://example.com/a.b/c"), true);
+  assert.equal(matchesUrlPattern("*://example.com/a.b/*", "https://example.com/axb/c"), false);
+  assert.equal(matchesUrlPattern("*://example.com/(x)+/*", "https://example.com/(x)+/y"), true);
+});
+
+test("matchesUrlPattern handles <all_urls>, file URLs and bad input", () => {
+  assert.equal(matchesUrlPattern("<all_urls>", "file:///home/me/notes.txt"), true);
+  assert.equal(matchesUrlPattern("<all_urls>", "chrome://settings/"), false);
+  assert.equal(matchesUrlPattern("file:///home/*", "file:///home/me/notes.txt"), true);
+  assert.equal(matchesUrlPattern("*://example.com/*", "not a url"), false);
+  assert.equal(matchesUrlPattern("example.com", "https://example.com/"), false);
+});
+
+test("getUrlPatternError accepts valid patterns and explains invalid ones", () => {
+  ["<all_urls>", "*://*/*", "https://*.example.com/path*", "file:///*"].forEach(pattern => {
+    assert.equal(getUrlPatternError(pattern), null, pattern);
+  });
+  ["example.com", "*://example.com", "https://exa*mple.com/*", "file://host/*", "https:///*"].forEach(pattern => {
+    assert.match(getUrlPatternError(pattern), /is not a valid match pattern/, pattern);
+  });
+});
+
+test("isTemplateAvailableOn applies templates without patterns everywhere", () => {
+  assert.equal(isTemplateAvailableOn({ id: "a" }, "https://example.com/"), true);
+  assert.equal(isTemplateAvailableOn({ id: "a", include: [], exclude: [] }, "https://example.com/"), true);
+});
+
+test("isTemplateAvailableOn needs one include pattern to match", () => {
+  const template = { include: ["*://*.zendesk.com/*", "*://github.com/*"] };
+  assert.equal(isTemplateAvailableOn(template, "https://github.com/issues"), true);
+  assert.equal(isTemplateAvailableOn(template, "https://gitlab.com/issues"), false);
+});
+
+test("isTemplateAvailableOn lets exclude patterns win over include patterns", () => {
+  const template = { include: ["*://github.com/*"], exclude: ["*://github.com/settings*"] };
+  assert.equal(isTemplateAvailableOn(template, "https://github.com/issues"), true);
+  assert.equal(isTemplateAvailableOn(template, "https://github.com/settings/profile"), false);
+  assert.equal(isTemplateAvailableOn({ exclude: ["*://github.com/*"] }, "https://github.com/"), false);
+});
+
+test("isTemplateAvailableOn applies every template when the page URL is unknown", () => {
+  assert.equal(isTemplateAvailableOn({ include: ["*://github.com/*"] }, undefined), true);
+  assert.equal(isTemplateAvailableOn({ include: ["*://github.com/*"] }, ""), true);
+});
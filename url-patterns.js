@@ -0,0 +1,95 @@
+// url-patterns.js - match patterns that limit templates to certain sites, shared by the service worker, popup and options page.
+const ALL_URLS_PATTERN = "<all_urls>";
+const URL_PATTERN_SYNTAX = /^(\*|https?|file|ftp):\/\/(\*|\*\.[^/*]+|[^/*]*)(\/.*)$/;
+const WILDCARD_SCHEMES = ["http:", "https:"];
+const ALL_URLS_SCHEMES = ["http:", "https:", "file:", "ftp:"];
+
+/**
+ * Splits a match pattern like "*://*.zendesk.com/*" into its parts.
+ * @param {string} pattern - The match pattern
+ * @returns {{scheme: string, host: string, path: string}|null} The parts, or null if malformed
+ */
+function parseUrlPattern(pattern) {
+  const match = URL_PATTERN_SYNTAX.exec(pattern);
+  if (!match) return null;
+
+  const [, scheme, host, path] = match;
+  // Only file URLs have no host
+  if ((scheme === "file") !== (host === "")) return null;
+  return { scheme, host: host.toLowerCase(), path };
+}
+
+/**
+ * Describes what's wrong with a match pattern.
+ * @param {string} pattern - The match pattern
+ * @returns {string|null} The problem, or null if the pattern is valid
+ */
+function getUrlPatternError(pattern) {
+  if (pattern === ALL_URLS_PATTERN || parseUrlPattern(pattern)) return null;
+  return `"${pattern}" is not a valid match pattern like *://*.example.com/*`;
+}
+
+/**
+ * Checks whether a URL matches a match pattern.
+ * A "*" scheme matches http and https, a "*." host prefix also matches the domain itself,
+ * and "*" in the path matches any characters, including the query string.
+ * @param {string} pattern - The match pattern
+ * @param {string} url - The URL to test
+ * @returns {boolean} True if the URL matches
+ */
+function matchesUrlPattern(pattern, url) {
+  let parsedUrl;
+  try {
+    parsedUrl = new URL(url);
+  } catch (error) {
+    return false;
+  }
+
+  if (pattern === ALL_URLS_PATTERN) {
+    return ALL_URLS_SCHEMES.includes(parsedUrl.protocol);
+  }
+
+  const parts = parseUrlPattern(pattern);
+  if (!parts) return false;
+
+  const schemeMatches = parts.scheme === "*"
+    ? WILDCARD_SCHEMES.includes(parsedUrl.protocol)
+    : parsedUrl.protocol === `${parts.scheme}:`;
+  if (!schemeMatches) return false;
+
+  const hostname = parsedUrl.hostname.toLowerCase();
+  if (parts.host.startsWith("*.")) {
+    const domain = parts.host.slice(2);
+    if (hostname !== domain && !hostname.endsWith(`.${domain}`)) return false;
+  } else if (parts.host !== "*" && parts.host !== hostname) {
+    return false;
+  }
+
+  const pathPattern = parts.path.split("*").map(s => s.replace(/[.+?^${}()|[\]\\]/g, "\\$&")).join(".*");
+  return new RegExp(`^${pathPattern}$`).test(parsedUrl.pathname + parsedUrl.search);
+}
+
+/**
+ * Checks whether a template applies to a page, based on its include and exclude patterns.
+ * Templates without include patterns apply everywhere they aren't excluded.
+ * @param {Object} template - The template
+ * @param {string} [url] - The page URL; when unknown, every template applies
+ * @returns {boolean} True if the template should be offered on the page
+ */
+function isTemplateAvailableOn(template, url) {
+  if (!url) return true;
+
+  const include = template.include || [];
+  const exclude = template.exclude || [];
+  if (include.length && !include.some(pattern => matchesUrlPattern(pattern, url))) return false;
+  return !exclude.some(pattern => matchesUrlPattern(pattern, url));
+}
+
+/**
+ * Checks whether a template is limited to certain sites.
+ * @param {Object} template - The template
+ * @returns {boolean} True if the template has include or exclude patterns
+ */
+function isSiteScoped(template) {
+  return Boolean((template.include && template.include.length) || (template.exclude && template.exclude.length));
+}
@@ -0,0 +1,70 @@
+// usage.js - per-template usage statistics, shared by the service worker and options page.
+const USAGE_KEY = "template_usage";
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Usage updates, run one at a time
+let usageUpdate = Promise.resolve();
+
+/**
+ * Reads the usage statistics. They stay on this device, in local storage.
+ * @returns {Promise<Object>} Map of template id to { count, lastUsed }
+ */
+function getUsageStats() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get([USAGE_KEY], (result) => {
+      resolve(result[USAGE_KEY] || {});
+    });
+  });
+}
+
+/**
+ * Counts one use of a template. Uses are counted one after the other, so quick insertions aren't lost.
+ * @param {string} templateId - The template id
+ * @returns {Promise<Object>} The updated statistics
+ */
+function recordTemplateUsage(templateId) {
+  const update = usageUpdate.then(async () => {
+    const stats = await getUsageStats();
+    const entry = stats[templateId] || { count: 0, lastUsed: 0 };
+    stats[templateId] = { count: entry.count + 1, lastUsed: Date.now() };
+    await chrome.storage.local.set({ [USAGE_KEY]: stats });
+    return stats;
+  });
+  // A failed update doesn't stop the next ones
+  usageUpdate = update.catch(() => undefined);
+  return update;
+}
+
+/**
+ * Lists template ids by most recent use.
+ * @param {Object} stats - Usage statistics
+ * @param {number} limit - Maximum number of ids
+ * @returns {Array<string>} Template ids, most recently used first
+ */
+function getRecentlyUsedIds(stats, limit) {
+  return Object.keys(stats)
+    .sort((a, b) => stats[b].lastUsed - stats[a].lastUsed)
+    .slice(0, limit);
+}
+
+/**
+ * Lists template ids by number of uses.
+ * @param {Object} stats - Usage statistics
+ * @param {number} limit - Maximum number of ids
+ * @returns {Array<string>} Template ids, most used first
+ */
+function getMostUsedIds(stats, limit) {
+  return Object.keys(stats)
+    .sort((a, b) => stats[b].count - stats[a].count || stats[b].lastUsed - stats[a].lastUsed)
+    .slice(0, limit);
+}
+
+/**
+ * Checks whether a template hasn't been used for a number of days. Templates never used count as unused.
+ * @param {Object} [entry] - The template's statistics ({ count, lastUsed })
+ * @param {number} days - The number of days
+ * @param {number} [now] - The current time in milliseconds
+ * @returns {boolean} True if the template is unused
+ */
+function isUnusedFor(entry, days, now = Date.now()) {
+  return !entry || now - entry.lastUsed > days * DAY_MS;
+}